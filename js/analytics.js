@@ -0,0 +1,78 @@
+/**
+ * Conversion Analytics
+ * A few anonymous events (quiz started/finished, form sent or failed,
+ * WhatsApp clicks, language, theme and motion toggles, section views)
+ * batched to our own endpoint with navigator.sendBeacon. Nothing is
+ * recorded unless the visitor allows the "analytics" category
+ * (js/consent.js); without it trackEvent() is a no-op.
+ *
+ * No cookies, identifiers or form contents are sent. The endpoint comes from
+ * the body, e.g.
+ *   <body data-analytics-endpoint="https://collector.example/events">
+ * The site is static, so it stays unset (and events are dropped) until a
+ * collector exists. Locally, point it at tools/mock-lead-server.js
+ * (http://localhost:8787/events) to see the batches.
+ */
+
+// ==========================================
+// EVENT QUEUE
+// ==========================================
+const ANALYTICS_BATCH_SIZE = 10;
+const ANALYTICS_FLUSH_DELAY = 10000; // ms an event may wait for others
+
+const analyticsQueue = [];
+let analyticsTimer = null;
+
+function getAnalyticsEndpoint() {
+  return document.body ? document.body.getAttribute('data-analytics-endpoint') || '' : '';
+}
+
+/**
+ * Record an event for the next batch; ignored without consent or endpoint.
+ * @param {string} name - e.g. 'quiz_complete'
+ * @param {Object} [props] - short, non-personal values (no form contents)
+ */
+function trackEvent(name, props) {
+  if (!hasConsent('analytics') || !getAnalyticsEndpoint()) return;
+
+  analyticsQueue.push({ name: name, props: props || {}, at: new Date().toISOString() });
+
+  if (analyticsQueue.length >= ANALYTICS_BATCH_SIZE) flushAnalytics();
+  else if (!analyticsTimer) analyticsTimer = setTimeout(flushAnalytics, ANALYTICS_FLUSH_DELAY);
+}
+
+// Send the queued events in one request. Plain-text body: a beacon with a
+// JSON content type would need a CORS preflight, which beacons can't make.
+function flushAnalytics() {
+  clearTimeout(analyticsTimer);
+  analyticsTimer = null;
+
+  const endpoint = getAnalyticsEndpoint();
+  if (!analyticsQueue.length || !endpoint || !hasConsent('analytics')) {
+    analyticsQueue.length = 0;
+    return;
+  }
+
+  const body = JSON.stringify({
+    site: location.hostname || 'sanluferseguridad.com',
+    page: location.pathname,
+    lang: getLang(),
+    events: analyticsQueue.splice(0, analyticsQueue.length),
+  });
+
+  if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return;
+  // No beacon support, or the browser refused it: one best-effort request
+  fetch(endpoint, { method: 'POST', body: body, keepalive: true }).catch(() => {});
+}
+
+function initAnalytics() {
+  // Leaving or hiding the page is the last reliable moment to send
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushAnalytics();
+  });
+  window.addEventListener('pagehide', flushAnalytics);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initAnalytics();
+});
@@ -1,8 +1,165 @@
 /**
- * Scroll Reveal Animations, Animated Counters, Active Nav Tracking,
- * Typing Text Effect
+ * Motion Controller, Scroll Reveal Animations, Animated Counters, Active Nav
+ * Tracking (which also reports section views to js/analytics.js), Typing
+ * Text Effect
+ *
+ * Every animation on the page goes through the motion controller: loops and
+ * timers register with registerAnimation() and are paused while the page is
+ * hidden, their element is off screen or (when decorative) motion is
+ * reduced; one-off animations ask shouldAnimate() and otherwise jump to their
+ * end state. Motion is reduced when the OS asks for it, unless the visitor
+ * chose full motion, or when the visitor chose "reduce animations"; the
+ * <html data-motion="reduce"> attribute (also set by the head script in
+ * index.html) drives the CSS.
  */
 
+// ==========================================
+// MOTION CONTROLLER
+// ==========================================
+const MOTION_STORAGE_KEY = 'sanlufer-motion';
+const MOTION_PREFERENCES = ['system', 'reduce', 'full'];
+
+const motionAnimations = [];
+let motionPreference = 'system';
+let motionObserver = null;
+
+function getMotionPreference() {
+  return motionPreference;
+}
+
+function prefersReducedMotion() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function isMotionReduced() {
+  return document.documentElement.getAttribute('data-motion') === 'reduce';
+}
+
+// Set the page attribute from the preference and the OS setting; fires
+// "sanlufer:motion" ({reduced, preference}) when that changes the outcome
+function applyMotion() {
+  const previous = isMotionReduced();
+  const reduced = motionPreference === 'reduce' || (motionPreference === 'system' && prefersReducedMotion());
+
+  if (reduced) document.documentElement.setAttribute('data-motion', 'reduce');
+  else document.documentElement.removeAttribute('data-motion');
+
+  if (reduced !== previous) {
+    motionAnimations.forEach(refreshAnimation);
+    document.dispatchEvent(new CustomEvent('sanlufer:motion', {
+      detail: { reduced: reduced, preference: motionPreference },
+    }));
+  }
+}
+
+/**
+ * Switch the motion preference.
+ * @param {string} preference - 'system', 'reduce' or 'full'
+ * @param {{save: boolean}} [options] - save: false to not store the choice
+ * @returns {boolean} false for an unknown preference
+ */
+function setMotionPreference(preference, options) {
+  if (MOTION_PREFERENCES.indexOf(preference) === -1) return false;
+
+  motionPreference = preference;
+  // Stored only if the visitor allowed the "preferences" cookie category
+  if ((!options || options.save !== false) && hasConsent('preferences')) {
+    if (preference === 'system') localStorage.removeItem(MOTION_STORAGE_KEY);
+    else localStorage.setItem(MOTION_STORAGE_KEY, preference);
+  }
+  applyMotion();
+  return true;
+}
+
+function isOnScreen(el) {
+  const rect = el.getBoundingClientRect();
+  return (rect.width > 0 || rect.height > 0) &&
+    rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+}
+
+/**
+ * Whether a one-off animation is worth playing: motion isn't reduced, the
+ * page is visible and the element (if any) is on screen. When it isn't,
+ * callers show the end state straight away.
+ * @param {Element} [el]
+ * @returns {boolean}
+ */
+function shouldAnimate(el) {
+  return !isMotionReduced() && !document.hidden && (!el || isOnScreen(el));
+}
+
+function canAnimationRun(animation) {
+  return !document.hidden && animation.onScreen && !(animation.decorative && isMotionReduced());
+}
+
+function refreshAnimation(animation) {
+  const run = canAnimationRun(animation);
+  if (run === animation.running) return;
+  animation.running = run;
+  if (run) animation.start();
+  else animation.stop();
+}
+
+function getMotionObserver() {
+  if (!motionObserver) {
+    motionObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        motionAnimations.forEach((animation) => {
+          if (animation.element !== entry.target) return;
+          animation.onScreen = entry.isIntersecting;
+          refreshAnimation(animation);
+        });
+      });
+    });
+  }
+  return motionObserver;
+}
+
+/**
+ * Hand a running animation (a loop, timer or frame callback) to the motion
+ * controller. start() is called whenever it may run and stop() whenever it
+ * must pause; stop() is also called right away if it can't run yet, so it
+ * should leave a sensible still state.
+ * @param {Object} animation
+ * @param {function()} animation.start
+ * @param {function()} animation.stop
+ * @param {Element} [animation.element] - runs only while this is on screen
+ * @param {boolean} [animation.decorative=true] - false for updates that
+ *   carry information (clocks, live figures), which run under reduced motion
+ */
+function registerAnimation(animation) {
+  const entry = {
+    start: animation.start,
+    stop: animation.stop,
+    element: animation.element || null,
+    decorative: animation.decorative !== false,
+    onScreen: !animation.element,
+    running: false,
+  };
+  motionAnimations.push(entry);
+  if (entry.element) getMotionObserver().observe(entry.element);
+
+  entry.running = canAnimationRun(entry);
+  if (entry.running) entry.start();
+  else entry.stop();
+}
+
+function initMotion() {
+  const saved = localStorage.getItem(MOTION_STORAGE_KEY);
+  motionPreference = MOTION_PREFERENCES.indexOf(saved) !== -1 ? saved : 'system';
+
+  const media = window.matchMedia('(prefers-reduced-motion: reduce)');
+  if (media.addEventListener) media.addEventListener('change', applyMotion);
+  else if (media.addListener) media.addListener(applyMotion);
+
+  // Background tabs run nothing
+  document.addEventListener('visibilitychange', () => {
+    motionAnimations.forEach(refreshAnimation);
+  });
+
+  applyMotion();
+}
+
 // ==========================================
 // SCROLL REVEAL SYSTEM
 // ==========================================
@@ -13,12 +170,20 @@ function initScrollReveal() {
   const observer = new IntersectionObserver(
     (entries) => {
       entries.forEach((entry) => {
+        const el = entry.target;
         if (entry.isIntersecting) {
-          const el = entry.target;
-          const delay = parseInt(el.dataset.delay || 0, 10);
-          setTimeout(() => {
+          const delay = shouldAnimate() ? parseInt(el.dataset.delay || 0, 10) : 0;
+          if (delay) {
+            setTimeout(() => {
+              el.classList.add('revealed');
+            }, delay);
+          } else {
             el.classList.add('revealed');
-          }, delay);
+          }
+          observer.unobserve(el);
+        } else if (entry.boundingClientRect.bottom < 0) {
+          // Already scrolled past (e.g. arriving through a link): no entrance
+          el.classList.add('revealed');
           observer.unobserve(el);
         }
       });
@@ -59,6 +224,12 @@ function animateCounter(element) {
   const target = parseInt(element.dataset.target, 10);
   const suffix = element.dataset.suffix || '';
   const duration = 2000;
+
+  if (!shouldAnimate(element)) {
+    element.textContent = target + suffix;
+    return;
+  }
+
   const start = performance.now();
 
   function update(currentTime) {
@@ -100,11 +271,18 @@ function initActiveNav() {
 
   if (!sections.length) return;
 
+  // Each section counts as viewed once per page load
+  const viewed = new Set();
+
   const navObserver = new IntersectionObserver(
     (entries) => {
       entries.forEach((entry) => {
         if (entry.isIntersecting) {
           const id = entry.target.id;
+          if (!viewed.has(id)) {
+            viewed.add(id);
+            trackEvent('section_view', { section: id });
+          }
           navLinks.forEach((link) => {
             const href = link.getAttribute('href');
             link.classList.toggle('active', href === `#${id}`);
@@ -127,60 +305,13 @@ function initTypingEffect() {
   const el = document.getElementById('typingText');
   if (!el) return;
 
-  const lang = document.documentElement.getAttribute('data-lang') || 'es';
-
-  const wordsES = [
-    'para su Empresa',
-    'con Videovigilancia IA',
-    'en toda Colombia',
-    'desde Medellín',
-    'en Bogotá y Cali',
-    'en Barranquilla y Cartagena',
-    'Automatización Total',
-    'Cableado Certificado',
-    '24/7 Soporte Técnico',
-    'en Bucaramanga y Pasto',
-    'en Pereira y el Eje Cafetero',
-  ];
-
-  const wordsEN = [
-    'for your Business',
-    'with AI Surveillance',
-    'across all Colombia',
-    'from Medellín',
-    'in Bogotá & Cali',
-    'in Barranquilla & Cartagena',
-    'Total Automation',
-    'Certified Cabling',
-    '24/7 Tech Support',
-    'in Bucaramanga & Pasto',
-    'in Pereira & the Coffee Region',
-  ];
-
-  let words = lang === 'en' ? wordsEN : wordsES;
+  let words = t('hero.typing');
   let wordIndex = 0;
   let charIndex = 0;
   let isDeleting = false;
+  let delay = 1000; // before the next step
   let timeout = null;
 
-  // Update words when language changes
-  const langObserver = new MutationObserver(() => {
-    const currentLang = document.documentElement.getAttribute('data-lang') || 'es';
-    words = currentLang === 'en' ? wordsEN : wordsES;
-    // Reset typing
-    if (timeout) clearTimeout(timeout);
-    wordIndex = 0;
-    charIndex = 0;
-    isDeleting = false;
-    el.textContent = '';
-    type();
-  });
-
-  langObserver.observe(document.documentElement, {
-    attributes: true,
-    attributeFilter: ['data-lang'],
-  });
-
   function type() {
     const currentWord = words[wordIndex];
 
@@ -192,7 +323,7 @@ function initTypingEffect() {
       charIndex++;
     }
 
-    let delay = isDeleting ? 40 : 80;
+    delay = isDeleting ? 40 : 80;
 
     if (!isDeleting && charIndex === currentWord.length) {
       delay = 2000; // Pause at end
@@ -206,14 +337,48 @@ function initTypingEffect() {
     timeout = setTimeout(type, delay);
   }
 
-  // Small delay before starting
-  timeout = setTimeout(type, 1000);
+  // Paused (or never started): the whole word, deleted when typing resumes
+  function showWord() {
+    el.textContent = words[wordIndex];
+    charIndex = words[wordIndex].length;
+    isDeleting = true;
+    delay = 2000;
+  }
+
+  registerAnimation({
+    element: el,
+    start() {
+      timeout = setTimeout(type, delay);
+    },
+    stop() {
+      clearTimeout(timeout);
+      timeout = null;
+      showWord();
+    },
+  });
+
+  // Update words when language changes
+  document.addEventListener('sanlufer:lang', () => {
+    words = t('hero.typing');
+    wordIndex = 0;
+    if (!timeout) {
+      showWord();
+      return;
+    }
+    // Reset typing
+    clearTimeout(timeout);
+    charIndex = 0;
+    isDeleting = false;
+    el.textContent = '';
+    type();
+  });
 }
 
 // ==========================================
 // INITIALIZE ALL ANIMATIONS
 // ==========================================
 document.addEventListener('DOMContentLoaded', () => {
+  initMotion();
   initScrollReveal();
   initCounters();
   initActiveNav();
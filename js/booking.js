@@ -0,0 +1,479 @@
+/**
+ * Technical Visit Booking
+ * Bookable slots from a weekly availability schedule per city
+ * (data/visit-availability.json), minus Colombian public holidays, shown in
+ * America/Bogota time. Requests go through the contact form's transport and
+ * the client gets an .ics file for their calendar. The schedule is loaded
+ * once (loadVisitAvailability) and shared with the coverage panel.
+ */
+
+// ==========================================
+// COLOMBIAN PUBLIC HOLIDAYS
+// ==========================================
+const VISIT_TIMEZONE = 'America/Bogota';
+const VISIT_UTC_OFFSET_MS = -5 * 60 * 60 * 1000; // Colombia has no daylight saving time
+const VISIT_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const COLOMBIAN_HOLIDAYS = {
+  // Always on their date
+  fixed: [
+    { month: 1, day: 1, es: 'Año Nuevo', en: "New Year's Day" },
+    { month: 5, day: 1, es: 'Día del Trabajo', en: 'Labour Day' },
+    { month: 7, day: 20, es: 'Día de la Independencia', en: 'Independence Day' },
+    { month: 8, day: 7, es: 'Batalla de Boyacá', en: 'Battle of Boyacá' },
+    { month: 12, day: 8, es: 'Inmaculada Concepción', en: 'Immaculate Conception' },
+    { month: 12, day: 25, es: 'Navidad', en: 'Christmas Day' },
+  ],
+  // Moved to the following Monday (Ley Emiliani)
+  monday: [
+    { month: 1, day: 6, es: 'Reyes Magos', en: 'Epiphany' },
+    { month: 3, day: 19, es: 'San José', en: "Saint Joseph's Day" },
+    { month: 6, day: 29, es: 'San Pedro y San Pablo', en: 'Saints Peter and Paul' },
+    { month: 8, day: 15, es: 'Asunción de la Virgen', en: 'Assumption Day' },
+    { month: 10, day: 12, es: 'Día de la Raza', en: 'Columbus Day' },
+    { month: 11, day: 1, es: 'Todos los Santos', en: "All Saints' Day" },
+    { month: 11, day: 11, es: 'Independencia de Cartagena', en: 'Independence of Cartagena' },
+  ],
+  // Days from Easter Sunday; the last three already fall on Mondays
+  easter: [
+    { offset: -3, es: 'Jueves Santo', en: 'Maundy Thursday' },
+    { offset: -2, es: 'Viernes Santo', en: 'Good Friday' },
+    { offset: 43, es: 'Ascensión del Señor', en: 'Ascension Day' },
+    { offset: 64, es: 'Corpus Christi', en: 'Corpus Christi' },
+    { offset: 71, es: 'Sagrado Corazón', en: 'Sacred Heart' },
+  ],
+};
+
+// Easter Sunday (Gregorian computus), as a UTC midnight date
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Colombian public holidays for a year.
+ * @param {number} year
+ * @returns {Object<string, {es: string, en: string}>} 'YYYY-MM-DD' → holiday name
+ */
+function getColombianHolidays(year) {
+  const holidays = {};
+  const add = (date, holiday) => {
+    holidays[toDateKey(date)] = { es: holiday.es, en: holiday.en };
+  };
+
+  COLOMBIAN_HOLIDAYS.fixed.forEach((holiday) => add(new Date(Date.UTC(year, holiday.month - 1, holiday.day)), holiday));
+
+  COLOMBIAN_HOLIDAYS.monday.forEach((holiday) => {
+    const date = new Date(Date.UTC(year, holiday.month - 1, holiday.day));
+    date.setUTCDate(date.getUTCDate() + (8 - date.getUTCDay()) % 7);
+    add(date, holiday);
+  });
+
+  const easter = getEasterSunday(year);
+  COLOMBIAN_HOLIDAYS.easter.forEach((holiday) => {
+    const date = new Date(easter);
+    date.setUTCDate(date.getUTCDate() + holiday.offset);
+    add(date, holiday);
+  });
+
+  return holidays;
+}
+
+// ==========================================
+// AVAILABILITY
+// ==========================================
+
+// Bogotá wall-clock time of an instant, as a Date whose UTC fields hold it
+function toBogotaClock(date) {
+  return new Date(date.getTime() + VISIT_UTC_OFFSET_MS);
+}
+
+// Instant for a Bogotá date ('YYYY-MM-DD') and time ('HH:MM')
+function fromBogotaClock(dateKey, time) {
+  return new Date(Date.parse(dateKey + 'T' + time + ':00Z') - VISIT_UTC_OFFSET_MS);
+}
+
+const VISIT_AVAILABILITY_URL = 'data/visit-availability.json';
+
+let visitAvailabilityRequest = null;
+
+/**
+ * Load the visit schedule once for every module that needs it (the booking
+ * form and the coverage panel's next visit). The booking form's
+ * data-availability, when set, names another file.
+ * @returns {Promise<Object>} resolves with the contents of data/visit-availability.json
+ */
+function loadVisitAvailability() {
+  if (!visitAvailabilityRequest) {
+    const form = document.getElementById('visitBooking');
+    visitAvailabilityRequest = fetch((form && form.dataset.availability) || VISIT_AVAILABILITY_URL).then((response) => {
+      if (!response.ok) throw new Error('Availability unavailable: ' + response.status);
+      return response.json();
+    });
+  }
+  return visitAvailabilityRequest;
+}
+
+/**
+ * Bookable days and slots for a city, starting today in Bogotá.
+ * @param {Object} availability - contents of data/visit-availability.json
+ * @param {string} cityId - a COVERAGE_CITIES id
+ * @param {Date} [now]
+ * @returns {Array<{date: string, weekday: string, closed: ({es: string, en: string}|boolean|null), slots: Array<{start: Date, end: Date, time: string}>}>}
+ *   closed is the holiday's name, true for another closed date, or null
+ */
+function getVisitSlots(availability, cityId, now) {
+  now = now || new Date();
+  const schedule = availability.cities[cityId] || availability.default;
+  const earliest = now.getTime() + availability.minNoticeHours * 60 * 60 * 1000;
+  const slotMs = availability.slotMinutes * 60 * 1000;
+  const closedDates = availability.closedDates || [];
+  const holidaysByYear = {};
+  const days = [];
+
+  const day = new Date(toDateKey(toBogotaClock(now)) + 'T00:00:00Z');
+  for (let i = 0; i < availability.horizonDays; i++, day.setUTCDate(day.getUTCDate() + 1)) {
+    const dateKey = toDateKey(day);
+    const weekday = VISIT_WEEKDAYS[day.getUTCDay()];
+    const year = day.getUTCFullYear();
+    const holidays = holidaysByYear[year] || (holidaysByYear[year] = getColombianHolidays(year));
+
+    let closed = holidays[dateKey] || null;
+    if (!closed && closedDates.indexOf(dateKey) !== -1) closed = true;
+
+    const slots = [];
+    if (!closed) {
+      (schedule[weekday] || []).forEach((range) => {
+        const bounds = range.split('-');
+        const rangeEnd = fromBogotaClock(dateKey, bounds[1]).getTime();
+        for (let start = fromBogotaClock(dateKey, bounds[0]).getTime(); start + slotMs <= rangeEnd; start += slotMs) {
+          if (start < earliest) continue;
+          slots.push({
+            start: new Date(start),
+            end: new Date(start + slotMs),
+            time: toBogotaClock(new Date(start)).toISOString().slice(11, 16),
+          });
+        }
+      });
+    }
+
+    days.push({ date: dateKey, weekday: weekday, closed: closed, slots: slots });
+  }
+
+  return days;
+}
+
+// ==========================================
+// CALENDAR FILE (.ics)
+// ==========================================
+function escapeICSText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function formatICSDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 characters continue on the next line after a space (RFC 5545)
+function foldICSLine(line) {
+  const parts = [];
+  while (line.length > 75) {
+    parts.push(line.slice(0, 75));
+    line = ' ' + line.slice(75);
+  }
+  parts.push(line);
+  return parts.join('\r\n');
+}
+
+/**
+ * Build an iCalendar file for a requested visit.
+ * @param {{start: Date, end: Date, summary: string, location: string, description: string}} visit
+ * @returns {string}
+ */
+function buildVisitICS(visit) {
+  const uid = formatICSDate(visit.start) + '-' + hashString(visit.summary + visit.description) + '@sanluferseguridad.com';
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Sanlufer Seguridad//Visitas tecnicas//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    'UID:' + uid,
+    'DTSTAMP:' + formatICSDate(new Date()),
+    'DTSTART:' + formatICSDate(visit.start),
+    'DTEND:' + formatICSDate(visit.end),
+    'SUMMARY:' + escapeICSText(visit.summary),
+    'LOCATION:' + escapeICSText(visit.location),
+    'DESCRIPTION:' + escapeICSText(visit.description),
+    'STATUS:TENTATIVE',
+    'ORGANIZER;CN=Sanlufer Seguridad:mailto:ernesto.diaz@sanluferseguridad.com',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// ==========================================
+// VISIT BOOKING FORM
+// ==========================================
+function initVisitBooking() {
+  const form = document.getElementById('visitBooking');
+  if (!form) return;
+
+  const citySelect = document.getElementById('visitCity');
+  const daysEl = document.getElementById('visitDays');
+  const slotsEl = document.getElementById('visitSlots');
+  const summaryEl = document.getElementById('visitSummary');
+  const status = document.getElementById('visitStatus');
+  const contactForm = document.getElementById('contactForm');
+
+  // Same back end as the contact form, so visits land in the same inbox
+  const transport = getTransportConfig(contactForm || form);
+  transport.form = form.id;
+  const validator = createFormValidator(form, VISIT_FORM_RULES);
+  const readyAt = Date.now();
+
+  let availability = null;
+  let days = [];
+  let selectedDate = null;
+  let selectedSlot = null;
+  let icsUrl = null;
+
+  function setStatus(html, state) {
+    status.innerHTML = html;
+    status.className = 'form-status' + (state ? ' form-status--' + state : '');
+  }
+
+  function cityLabel(cityId) {
+    const city = COVERAGE_CITIES.find((c) => c.id === cityId);
+    return city ? city.name : cityId;
+  }
+
+  function formatDay(dateKey, options, lang) {
+    return formatDate(new Date(dateKey + 'T12:00:00Z'), Object.assign({ timeZone: 'UTC' }, options), lang);
+  }
+
+  // The visitor's own clock, when it differs from Colombia's
+  function localTime(date) {
+    const here = formatDate(date, { hour: '2-digit', minute: '2-digit' });
+    const bogota = formatDate(date, { hour: '2-digit', minute: '2-digit', timeZone: VISIT_TIMEZONE });
+    return here === bogota ? '' : here;
+  }
+
+  // Without coverage.json the schedule's own city ids still make a usable list
+  function renderCities() {
+    const selected = citySelect.value || 'medellin';
+    const cities = COVERAGE_CITIES.length || !availability
+      ? COVERAGE_CITIES
+      : Object.keys(availability.cities).map((id) => ({ id: id, name: id }));
+    citySelect.innerHTML = cities.map((city) =>
+      '<option value="' + city.id + '">' + escapeHTML(city.name) + '</option>'
+    ).join('');
+    citySelect.value = selected;
+  }
+
+  function worksOn(weekday) {
+    const schedule = availability.cities[citySelect.value] || availability.default;
+    return (schedule[weekday] || []).length > 0;
+  }
+
+  function renderDays() {
+    const bookable = days.filter((day) => day.slots.length);
+
+    if (!bookable.length) {
+      daysEl.innerHTML = '<p class="booking__empty">' + escapeHTML(t('booking.no-slots')) + '</p>';
+      return;
+    }
+
+    // Only days the technicians work in this city; holidays stay visible but disabled
+    daysEl.innerHTML = days.filter((day) => day.slots.length || (day.closed && worksOn(day.weekday))).map((day) => {
+      const closed = day.closed ? escapeHTML(day.closed === true ? t('booking.closed') : localize(day.closed)) : '';
+      const title = closed ? ' title="' + closed + '"' : '';
+      return '<button type="button" class="booking__day' + (day.date === selectedDate ? ' booking__day--selected' : '') + '" data-date="' + day.date + '"' +
+        ' aria-pressed="' + (day.date === selectedDate) + '"' + (day.slots.length ? '' : ' disabled') + title + '>' +
+        '<span class="booking__day-name">' + formatDay(day.date, { weekday: 'short' }) + '</span>' +
+        '<strong>' + formatDay(day.date, { day: 'numeric' }) + '</strong>' +
+        '<span class="booking__day-month">' + formatDay(day.date, { month: 'short' }) + '</span>' +
+        (closed ? '<span class="booking__day-note">' + closed + '</span>' : '') +
+        '</button>';
+    }).join('');
+  }
+
+  function renderSlots() {
+    const day = days.find((d) => d.date === selectedDate);
+    if (!day || !day.slots.length) {
+      slotsEl.innerHTML = '<p class="booking__empty">' + escapeHTML(t('booking.choose-day')) + '</p>';
+      return;
+    }
+
+    slotsEl.innerHTML = day.slots.map((slot) => {
+      const local = localTime(slot.start);
+      return '<button type="button" class="booking__slot' + (selectedSlot === slot ? ' booking__slot--selected' : '') + '" data-time="' + slot.time + '" aria-pressed="' + (selectedSlot === slot) + '">' +
+        slot.time + (local ? ' <small>(' + escapeHTML(t('booking.your-time', { time: local })) + ')</small>' : '') + '</button>';
+    }).join('');
+  }
+
+  function describeSlot(lang) {
+    const end = toBogotaClock(selectedSlot.end).toISOString().slice(11, 16);
+    return formatDay(selectedDate, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }, lang) + ', ' +
+      selectedSlot.time + '–' + end + ' (' + t('booking.colombia-time', null, lang) + ') · ' + cityLabel(citySelect.value);
+  }
+
+  function renderSummary() {
+    summaryEl.textContent = selectedSlot ? describeSlot() : '';
+  }
+
+  function render() {
+    renderDays();
+    renderSlots();
+    renderSummary();
+  }
+
+  function loadCity() {
+    days = getVisitSlots(availability, citySelect.value);
+    const first = days.find((day) => day.slots.length);
+    selectedDate = first ? first.date : null;
+    selectedSlot = null;
+    render();
+  }
+
+  daysEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.booking__day');
+    if (!btn || btn.disabled) return;
+    selectedDate = btn.dataset.date;
+    selectedSlot = null;
+    render();
+    const firstSlot = slotsEl.querySelector('.booking__slot');
+    if (firstSlot) firstSlot.focus();
+  });
+
+  slotsEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.booking__slot');
+    if (!btn) return;
+    const day = days.find((d) => d.date === selectedDate);
+    selectedSlot = day.slots.find((slot) => slot.time === btn.dataset.time);
+    setStatus('', null);
+    renderSlots();
+    renderSummary();
+    slotsEl.querySelector('[data-time="' + btn.dataset.time + '"]').focus();
+  });
+
+  citySelect.addEventListener('change', loadCity);
+
+  function offerCalendarFile(fields) {
+    const ics = buildVisitICS({
+      start: selectedSlot.start,
+      end: selectedSlot.end,
+      summary: t('booking.ics.summary'),
+      location: [fields.direccion, cityLabel(fields.ciudad) + ', Colombia'].filter(Boolean).join(', '),
+      description: t('booking.ics.description', { name: fields.nombre, phone: fields.telefono }) +
+        '\n+57 320 631 2166 · ernesto.diaz@sanluferseguridad.com',
+    });
+
+    if (icsUrl) URL.revokeObjectURL(icsUrl);
+    icsUrl = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    return '<a class="btn btn--outline booking__ics" href="' + icsUrl + '" download="visita-sanlufer-' + selectedDate + '.ics">' +
+      i18nHTML('booking.add-calendar') + '</a>';
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!availability) return;
+
+    if (!selectedSlot) {
+      setStatus(i18nHTML('booking.choose-slot'), 'blocked');
+      const firstSlot = slotsEl.querySelector('.booking__slot') || daysEl.querySelector('.booking__day:not([disabled])');
+      if (firstSlot) firstSlot.focus();
+      return;
+    }
+    if (!validator.validate()) {
+      trackEvent('form_failed', { form: 'booking', reason: 'invalid' });
+      return;
+    }
+
+    const fields = formDataToFields(new FormData(form));
+    fields.visita_inicio = selectedSlot.start.toISOString();
+    fields.visita_fecha = selectedDate;
+    fields.visita_hora = selectedSlot.time + ' (America/Bogota)';
+    fields.servicio = 'visita-tecnica';
+    fields.mensaje = 'Solicitud de visita técnica: ' + describeSlot('es') + (fields.direccion ? '\nDirección: ' + fields.direccion : '');
+
+    const blocked = checkSpam(fields, readyAt);
+    if (blocked) {
+      setStatus(i18nHTML(blocked.key, blocked.params), 'blocked');
+      trackEvent('form_failed', { form: 'booking', reason: 'blocked' });
+      return;
+    }
+    logSubmission(fields);
+
+    const btn = form.querySelector('button[type="submit"]');
+    btn.disabled = true;
+
+    submitLead(transport, fields).then((outcome) => {
+      if (outcome.status === 'rejected') {
+        setStatus(i18nHTML('booking.rejected'), 'error');
+        trackEvent('form_failed', { form: 'booking', reason: 'rejected' });
+        btn.disabled = false;
+        return;
+      }
+
+      const calendar = offerCalendarFile(fields);
+      if (outcome.status === 'sent') {
+        setStatus(i18nHTML('booking.received') + ' ' + calendar, 'success');
+        trackEvent('form_submitted', { form: 'booking', city: citySelect.value });
+      } else {
+        setStatus(i18nHTML('booking.queued') + ' ' + calendar, 'queued');
+        trackEvent('form_failed', { form: 'booking', reason: 'queued' });
+      }
+
+      // The slot stays taken on this page; the rest of the form clears
+      days.forEach((day) => {
+        day.slots = day.slots.filter((slot) => slot !== selectedSlot);
+      });
+      const city = citySelect.value;
+      form.reset();
+      citySelect.value = city;
+      selectedSlot = null;
+      render();
+      btn.disabled = false;
+    });
+  });
+
+  // Only the schedule is required; the city names are a nicety
+  Promise.allSettled([loadVisitAvailability(), loadCoverage()]).then((results) => {
+    if (results[0].status !== 'fulfilled') {
+      daysEl.innerHTML = '<p class="booking__empty">' + i18nHTML('booking.load-error') + '</p>';
+      return;
+    }
+    availability = results[0].value;
+    renderCities();
+    loadCity();
+  });
+
+  // Re-render labels and dates in the new language
+  document.addEventListener('sanlufer:lang', () => {
+    renderCities();
+    if (availability) render();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initVisitBooking();
+});
@@ -0,0 +1,142 @@
+/**
+ * Brand Catalog
+ * The brand strip in #marcas, built from data/brands.json. Each brand is a
+ * button that opens a panel with the product families we install, links to
+ * the related services and, once the business confirms them, the
+ * certifications our technicians hold (empty lists are left out).
+ * The strip scrolls as a marquee (paused by initBrandsPause, hover or focus)
+ * and becomes a static grid when motion is reduced (see the CSS).
+ * If the file can't be loaded the plain strip in the markup stays.
+ */
+
+// ==========================================
+// BRAND DATA
+// ==========================================
+const BRANDS_URL = 'data/brands.json';
+
+// ==========================================
+// CATALOG PANEL
+// ==========================================
+function initBrandCatalog() {
+  const track = document.querySelector('.brands__track');
+  const panel = document.getElementById('brandPanel');
+  if (!track || !panel) return;
+
+  let data = null;
+  let currentId = '';
+
+  // ---- Rendering ----
+  function itemHTML(brand, copy) {
+    return '<button type="button" class="brands__item" data-brand="' + escapeHTML(brand.id) + '"' +
+      ' aria-controls="brandPanel" aria-expanded="false"' + (copy ? ' aria-hidden="true" tabindex="-1"' : '') + '>' +
+      '<span>' + escapeHTML(brand.name) + '</span></button>';
+  }
+
+  // The marquee loops by sliding half its width, so the list is there twice;
+  // the second copy is for sighted visitors only
+  function renderTrack() {
+    track.innerHTML = data.brands.map((brand) => itemHTML(brand, false)).join('') +
+      data.brands.map((brand) => itemHTML(brand, true)).join('');
+    updateExpanded();
+  }
+
+  function listHTML(titleKey, items) {
+    return '<div class="brands__panel-section"><h4>' + escapeHTML(t(titleKey)) + '</h4>' +
+      '<ul>' + items.map((item) => '<li>' + item + '</li>').join('') + '</ul></div>';
+  }
+
+  function renderPanel() {
+    const brand = data.brands.find((b) => b.id === currentId);
+    if (!brand) {
+      panel.hidden = true;
+      panel.innerHTML = '';
+      return;
+    }
+
+    const services = brand.services
+      .map((id) => data.services.find((s) => s.id === id))
+      .filter(Boolean);
+
+    panel.innerHTML =
+      '<div class="brands__panel-header">' +
+        '<h3 id="brandPanelTitle">' + escapeHTML(brand.name) + '</h3>' +
+        '<button type="button" class="brands__panel-close" data-brand-close aria-label="' + escapeHTML(t('brands.close')) + '">' +
+          '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" aria-hidden="true"><path d="M18 6 6 18M6 6l12 12"/></svg>' +
+        '</button>' +
+      '</div>' +
+      '<div class="brands__panel-grid">' +
+        listHTML('brands.families', brand.families.map((family) => escapeHTML(localize(family)))) +
+        (brand.certifications.length ? listHTML('brands.certifications', brand.certifications.map(escapeHTML)) : '') +
+        listHTML('brands.services', services.map((service) =>
+          '<a href="' + escapeHTML(service.href) + '">' + escapeHTML(localize(service)) + '</a>')) +
+      '</div>' +
+      (brand.url ? '<a class="brands__panel-site" href="' + escapeHTML(brand.url) + '" target="_blank" rel="noopener">' +
+        escapeHTML(t('brands.website', { brand: brand.name })) + '</a>' : '');
+    panel.hidden = false;
+  }
+
+  function updateExpanded() {
+    track.querySelectorAll('[data-brand]').forEach((btn) => {
+      btn.setAttribute('aria-expanded', btn.dataset.brand === currentId ? 'true' : 'false');
+    });
+  }
+
+  // ---- Open / close ----
+  function openBrand(id) {
+    currentId = id;
+    renderPanel();
+    updateExpanded();
+    panel.focus();
+  }
+
+  function closeBrand() {
+    const id = currentId;
+    currentId = '';
+    renderPanel();
+    updateExpanded();
+    const btn = track.querySelector('[data-brand="' + id + '"]:not([aria-hidden])');
+    if (btn) btn.focus();
+  }
+
+  track.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-brand]');
+    if (!btn) return;
+    if (btn.dataset.brand === currentId) closeBrand();
+    else openBrand(btn.dataset.brand);
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeBrand();
+  });
+
+  panel.addEventListener('click', (e) => {
+    if (e.target.closest('[data-brand-close]')) {
+      closeBrand();
+      return;
+    }
+
+    // Service links are rendered after initSmoothScroll ran; same offset here
+    const link = e.target.closest('a[href^="#"]');
+    const target = link && document.querySelector(link.getAttribute('href'));
+    if (!target) return;
+    e.preventDefault();
+    const navbar = document.getElementById('navbar');
+    const top = target.getBoundingClientRect().top + window.scrollY - (navbar ? navbar.offsetHeight : 80);
+    window.scrollTo({ top: top, behavior: isMotionReduced() ? 'auto' : 'smooth' });
+  });
+
+  fetch(BRANDS_URL).then((response) => {
+    if (!response.ok) throw new Error('Brands unavailable: ' + response.status);
+    return response.json();
+  }).then((json) => {
+    data = json;
+    renderTrack();
+    document.addEventListener('sanlufer:lang', renderPanel);
+  }).catch(() => {
+    // The static strip in the markup stays, without panels
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initBrandCatalog();
+});
@@ -0,0 +1,220 @@
+/**
+ * Cookie Consent
+ * Granular, revocable consent as Ley 1581 expects: necessary (always on),
+ * preferences, analytics and marketing. A choice is saved together with the
+ * policy version and a timestamp, every change is appended to a local consent
+ * log, and the banner asks again whenever CONSENT_VERSION changes. The footer
+ * link "Cookie settings" reopens the choices at any time.
+ *
+ * Scripts of an optional category are parked in the markup and only run once
+ * the category is allowed:
+ *   <script type="text/plain" data-consent="marketing" data-src="https://…"></script>
+ * Changes fire "sanlufer:consent" ({categories, previous}).
+ */
+
+// ==========================================
+// CONSENT RECORDS
+// ==========================================
+const CONSENT_VERSION = '2026-10';
+const CONSENT_STORAGE_KEY = 'sanlufer-consent';
+const CONSENT_LOG_KEY = 'sanlufer-consent-log';
+const CONSENT_LOG_LIMIT = 20;
+const CONSENT_CATEGORIES = ['necessary', 'preferences', 'analytics', 'marketing'];
+
+// Stored data owned by an optional category, removed when it is withdrawn
+const CONSENT_STORAGE = {
+  preferences: ['sanlufer-lang', 'sanlufer-theme', 'sanlufer-motion'],
+};
+
+// Flags of the former accept/decline banner; superseded by the first record
+const LEGACY_CONSENT_KEYS = ['sanlufer-cookies-accepted', 'sanlufer-cookies-declined'];
+
+function readConsentJSON(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * The visitor's choice for the current policy version.
+ * @returns {{version: string, at: string, method: string, categories: Object}|null}
+ *   null when nothing was chosen yet or the policy changed since
+ */
+function getConsent() {
+  const record = readConsentJSON(CONSENT_STORAGE_KEY, null);
+  return record && record.version === CONSENT_VERSION && record.categories ? record : null;
+}
+
+function hasConsent(category) {
+  if (category === 'necessary') return true;
+  const record = getConsent();
+  return !!(record && record.categories[category]);
+}
+
+// Every choice made in this browser, oldest first
+function getConsentLog() {
+  return readConsentJSON(CONSENT_LOG_KEY, []);
+}
+
+/**
+ * Save a choice, clean up withdrawn categories and run newly allowed scripts.
+ * @param {Object} choices - category → boolean; necessary is always true
+ * @param {string} method - 'accept-all', 'reject-all' or 'custom'
+ * @returns {Object} the saved record
+ */
+function saveConsent(choices, method) {
+  const previous = getConsent();
+  const categories = {};
+  CONSENT_CATEGORIES.forEach((name) => {
+    categories[name] = name === 'necessary' || !!choices[name];
+  });
+
+  const record = { version: CONSENT_VERSION, at: new Date().toISOString(), method: method, categories: categories };
+  localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(record));
+  localStorage.setItem(CONSENT_LOG_KEY, JSON.stringify(getConsentLog().concat(record).slice(-CONSENT_LOG_LIMIT)));
+  LEGACY_CONSENT_KEYS.forEach((key) => localStorage.removeItem(key));
+
+  Object.keys(CONSENT_STORAGE).forEach((name) => {
+    if (!categories[name]) CONSENT_STORAGE[name].forEach((key) => localStorage.removeItem(key));
+  });
+
+  activateConsentScripts();
+  document.dispatchEvent(new CustomEvent('sanlufer:consent', {
+    detail: { categories: categories, previous: previous ? previous.categories : null },
+  }));
+  return record;
+}
+
+// Swap parked scripts of allowed categories for real ones. A script that has
+// run stays loaded after a withdrawal until the next page view.
+function activateConsentScripts() {
+  document.querySelectorAll('script[type="text/plain"][data-consent]').forEach((parked) => {
+    if (!hasConsent(parked.getAttribute('data-consent'))) return;
+    const script = document.createElement('script');
+    if (parked.hasAttribute('data-src')) script.src = parked.getAttribute('data-src');
+    else script.textContent = parked.textContent;
+    script.async = true;
+    parked.parentNode.replaceChild(script, parked);
+  });
+}
+
+// ==========================================
+// BANNER & SETTINGS DIALOG
+// ==========================================
+function initCookieConsent() {
+  const banner = document.getElementById('cookieConsent');
+  const dialog = document.getElementById('cookieSettings');
+  const form = document.getElementById('cookieSettingsForm');
+  const recordEl = document.getElementById('cookieSettingsRecord');
+  let lastFocused = null;
+
+  activateConsentScripts();
+
+  function hideBanner() {
+    if (banner) banner.classList.remove('visible');
+  }
+
+  function choose(choices, method) {
+    saveConsent(choices, method);
+    hideBanner();
+    closeSettings();
+  }
+
+  function allCategories(value) {
+    const choices = {};
+    CONSENT_CATEGORIES.forEach((name) => { choices[name] = value; });
+    return choices;
+  }
+
+  // Policy version and date of the current choice
+  function renderRecord() {
+    if (!recordEl) return;
+    const record = getConsent();
+    recordEl.innerHTML = record
+      ? i18nHTML('cookies.record', { version: CONSENT_VERSION, date: formatDate(new Date(record.at), { dateStyle: 'medium', timeStyle: 'short' }) })
+      : i18nHTML('cookies.no-record', { version: CONSENT_VERSION });
+  }
+
+  function openSettings() {
+    if (!dialog || !form) return;
+    const record = getConsent();
+    CONSENT_CATEGORIES.forEach((name) => {
+      const input = form.elements[name];
+      if (input) input.checked = name === 'necessary' || !!(record && record.categories[name]);
+    });
+    renderRecord();
+    lastFocused = document.activeElement;
+    dialog.classList.add('active');
+    document.body.classList.add('no-scroll');
+    const close = dialog.querySelector('.privacy-modal__close');
+    if (close) close.focus();
+  }
+
+  function closeSettings() {
+    if (!dialog || !dialog.classList.contains('active')) return;
+    dialog.classList.remove('active');
+    document.body.classList.remove('no-scroll');
+    if (lastFocused) lastFocused.focus();
+  }
+
+  if (banner) {
+    if (!getConsent()) setTimeout(() => banner.classList.add('visible'), 2000);
+
+    const acceptBtn = document.getElementById('cookieAccept');
+    const declineBtn = document.getElementById('cookieDecline');
+    const customizeBtn = document.getElementById('cookieCustomize');
+    if (acceptBtn) acceptBtn.addEventListener('click', () => choose(allCategories(true), 'accept-all'));
+    if (declineBtn) declineBtn.addEventListener('click', () => choose(allCategories(false), 'reject-all'));
+    if (customizeBtn) customizeBtn.addEventListener('click', openSettings);
+  }
+
+  // Delegated like [data-privacy]: the footer link and any link in translated text
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('[data-cookie-settings]')) return;
+    e.preventDefault();
+    openSettings();
+  });
+
+  if (!dialog || !form) return;
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const choices = {};
+    CONSENT_CATEGORIES.forEach((name) => {
+      choices[name] = !!(form.elements[name] && form.elements[name].checked);
+    });
+    choose(choices, 'custom');
+  });
+
+  dialog.querySelectorAll('[data-consent-all]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const value = btn.getAttribute('data-consent-all') === 'true';
+      choose(allCategories(value), value ? 'accept-all' : 'reject-all');
+    });
+  });
+
+  dialog.querySelector('.privacy-modal__close').addEventListener('click', closeSettings);
+  dialog.querySelector('.privacy-modal__overlay').addEventListener('click', closeSettings);
+
+  // Escape + focus trap
+  const content = dialog.querySelector('.privacy-modal__content');
+  document.addEventListener('keydown', (e) => {
+    if (!dialog.classList.contains('active')) return;
+    if (e.key === 'Escape') { closeSettings(); return; }
+    if (e.key === 'Tab') {
+      const focusable = content.querySelectorAll('button, input:not([disabled]), a');
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    }
+  });
+
+  document.addEventListener('sanlufer:lang', renderRecord);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initCookieConsent();
+});
@@ -0,0 +1,554 @@
+/**
+ * Coverage Map
+ * Cities we serve (data/coverage.json) with their services, response time
+ * and next technical visit, drawn on a Leaflet map with service-area circles
+ * and a side detail panel, plus a "nearest coverage" finder that ranks the
+ * cities by great-circle distance from a typed town or the visitor's location.
+ * When Leaflet or the CARTO tiles fail to load, the cities are drawn on an
+ * inline SVG outline of Colombia instead; either way a keyboard-navigable
+ * city list stays in sync with the map.
+ */
+
+// ==========================================
+// COVERAGE DATA
+// ==========================================
+const COVERAGE_URL = 'data/coverage.json';
+const COVERAGE_RANK_SIZE = 5;
+const EARTH_RADIUS_KM = 6371;
+
+// Filled by loadCoverage(); also offered by the quote builder and visit booking
+const COVERAGE_CITIES = [];
+// Other towns the finder recognises (they have no office of their own)
+const COVERAGE_PLACES = [];
+
+let coverageRequest = null;
+
+/**
+ * Load the coverage cities once for every module that needs them.
+ * @returns {Promise<Array<Object>>} resolves with COVERAGE_CITIES
+ */
+function loadCoverage() {
+  if (!coverageRequest) {
+    coverageRequest = fetch(COVERAGE_URL).then((response) => {
+      if (!response.ok) throw new Error('Coverage unavailable: ' + response.status);
+      return response.json();
+    }).then((data) => {
+      COVERAGE_CITIES.push.apply(COVERAGE_CITIES, data.cities);
+      COVERAGE_PLACES.push.apply(COVERAGE_PLACES, data.places || []);
+      return COVERAGE_CITIES;
+    });
+  }
+  return coverageRequest;
+}
+
+// ==========================================
+// DISTANCES
+// ==========================================
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} kilometres
+ */
+function greatCircleKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLng = (b.lng - a.lng) * rad;
+  const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Coverage cities ordered by distance from a point, nearest first.
+ * @param {{lat: number, lng: number}} point
+ * @param {Array<Object>} [cities] - defaults to COVERAGE_CITIES
+ * @returns {Array<{city: Object, km: number, inside: boolean}>} inside is
+ *   true when the point lies within the city's service radius
+ */
+function rankCoverage(point, cities) {
+  return (cities || COVERAGE_CITIES).map((city) => {
+    const km = greatCircleKm(point, city);
+    return { city: city, km: km, inside: km <= city.radiusKm };
+  }).sort((a, b) => a.km - b.km);
+}
+
+// Lower case, no accents or punctuation: "Itagüí" and "itagui" match
+function normalizePlaceName(name) {
+  return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Find a coverage city or known town by name (exact match first, then prefix).
+ * @param {string} query
+ * @returns {{name: string, lat: number, lng: number}|null}
+ */
+function findCoveragePlace(query) {
+  const wanted = normalizePlaceName(query);
+  if (!wanted) return null;
+
+  const places = COVERAGE_CITIES.concat(COVERAGE_PLACES);
+  return places.find((place) => normalizePlaceName(place.name) === wanted) ||
+    places.find((place) => normalizePlaceName(place.name).indexOf(wanted) === 0) ||
+    null;
+}
+
+// ==========================================
+// LEAFLET MAP
+// ==========================================
+// Tile errors before the first tile loads that make us give up on the tiles
+const COVERAGE_TILE_ERRORS = 4;
+
+function coverageMarkerIcon(city, active) {
+  const size = city.hq ? 20 : 14;
+  return L.divIcon({
+    className: '',
+    html: '<div class="map-marker' + (city.hq ? ' map-marker--hq' : '') + (active ? ' map-marker--selected' : '') + '"></div>',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+}
+
+/**
+ * Leaflet view of the coverage cities (CARTO tiles, service-area circles).
+ * @param {HTMLElement} el
+ * @param {{onSelect: function(Object), onFail: function()}} options
+ *   onFail is called when the tiles cannot be loaded
+ * @returns {Object} the coverage view (setCities, setSelected, showPoint, setPointLabel, destroy)
+ */
+function createLeafletView(el, options) {
+  const darkTiles = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
+  const lightTiles = 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png';
+  const tilesFor = (theme) => theme === 'light' ? lightTiles : darkTiles;
+  const markers = {};
+  let selected = null;
+  let point = null;
+  let tilesLoaded = 0;
+  let tileErrors = 0;
+
+  const map = L.map(el, {
+    center: [5.5, -74.0],
+    zoom: 6,
+    scrollWheelZoom: false,
+    zoomControl: false,
+    attributionControl: true,
+  });
+
+  L.control.zoom({ position: 'bottomright' }).addTo(map);
+
+  const tileLayer = L.tileLayer(tilesFor(getTheme()), {
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/">CARTO</a>',
+    maxZoom: 18,
+  }).addTo(map);
+
+  tileLayer.on('tileload', () => { tilesLoaded++; });
+  tileLayer.on('tileerror', () => {
+    if (!tilesLoaded && ++tileErrors === COVERAGE_TILE_ERRORS) options.onFail();
+  });
+
+  // Switch tiles when theme changes
+  function onTheme(e) {
+    if (e.detail.theme !== e.detail.previous) tileLayer.setUrl(tilesFor(e.detail.theme));
+  }
+  document.addEventListener('sanlufer:theme', onTheme);
+
+  return {
+    setCities(cities) {
+      cities.forEach((city) => {
+        L.circle([city.lat, city.lng], {
+          radius: city.radiusKm * 1000,
+          className: 'coverage-area' + (city.hq ? ' coverage-area--hq' : ''),
+          color: '#22d3ee',
+          weight: 1,
+          fillOpacity: city.hq ? 0.14 : 0.08,
+        }).on('click', () => options.onSelect(city)).addTo(map);
+
+        // The city list is the keyboard route, so markers stay out of the tab order
+        markers[city.id] = L.marker([city.lat, city.lng], { icon: coverageMarkerIcon(city, false), title: city.name, alt: city.name, keyboard: false })
+          .on('click', () => options.onSelect(city))
+          .addTo(map);
+      });
+    },
+
+    setSelected(city, pan) {
+      if (selected && markers[selected.id]) markers[selected.id].setIcon(coverageMarkerIcon(selected, false));
+      selected = city;
+      if (markers[city.id]) markers[city.id].setIcon(coverageMarkerIcon(city, true));
+      if (pan) map.panTo([city.lat, city.lng], { animate: !isMotionReduced() });
+    },
+
+    showPoint(at, label, nearest) {
+      if (point) point.remove();
+      point = L.circleMarker([at.lat, at.lng], { radius: 6, className: 'coverage-you', color: '#f59e0b', weight: 2, fillOpacity: 0.8 })
+        .bindTooltip(label)
+        .addTo(map);
+      map.fitBounds(L.latLngBounds([[at.lat, at.lng], [nearest.lat, nearest.lng]]), {
+        padding: [40, 40],
+        maxZoom: 9,
+        animate: !isMotionReduced(),
+      });
+    },
+
+    setPointLabel(label) {
+      if (point) point.setTooltipContent(label);
+    },
+
+    destroy() {
+      document.removeEventListener('sanlufer:theme', onTheme);
+      map.remove();
+    },
+  };
+}
+
+// ==========================================
+// SVG OUTLINE (fallback without Leaflet)
+// ==========================================
+// Simplified border of mainland Colombia, [lng, lat] clockwise from Punta Gallinas
+const COLOMBIA_OUTLINE = [
+  [-71.67, 12.46], [-71.3, 11.85], [-72.25, 11.12], [-72.85, 10.45], [-73.05, 9.55], [-72.75, 9.1],
+  [-72.35, 8.3], [-72.45, 7.45], [-72.0, 7.0], [-70.7, 7.05], [-70.1, 6.95], [-69.4, 6.1],
+  [-67.45, 6.2], [-67.85, 5.3], [-67.8, 4.5], [-67.3, 3.4], [-67.85, 2.8], [-67.2, 2.0],
+  [-66.87, 1.22], [-67.3, 1.1], [-69.5, 1.05], [-69.65, 0.6], [-70.05, 0.55], [-69.45, -0.15],
+  [-69.6, -1.05], [-69.95, -4.22], [-70.7, -3.8], [-72.9, -2.45], [-73.65, -1.25], [-74.8, -0.2],
+  [-75.55, -0.1], [-76.4, 0.4], [-77.65, 0.82], [-78.85, 1.45], [-78.2, 2.7], [-77.5, 3.4],
+  [-77.2, 3.9], [-77.45, 4.3], [-77.35, 5.6], [-77.5, 6.6], [-77.9, 7.22], [-77.75, 7.7],
+  [-77.37, 8.67], [-76.75, 7.95], [-76.78, 8.45], [-76.4, 8.9], [-75.6, 9.45], [-75.55, 10.4],
+  [-74.85, 11.1], [-74.2, 11.25], [-73.3, 11.28], [-72.9, 11.55], [-72.2, 11.9],
+];
+
+const OUTLINE_WEST = -79.3;
+const OUTLINE_NORTH = 12.7;
+const OUTLINE_SCALE = 20; // SVG units per degree
+const OUTLINE_WIDTH = 254;
+const OUTLINE_HEIGHT = 342;
+
+// Plate carrée projection into the outline's viewBox
+function projectOutline(lat, lng) {
+  return [
+    Math.round((lng - OUTLINE_WEST) * OUTLINE_SCALE * 10) / 10,
+    Math.round((OUTLINE_NORTH - lat) * OUTLINE_SCALE * 10) / 10,
+  ];
+}
+
+/**
+ * Static SVG view of the coverage cities, used when Leaflet or its tiles are
+ * unavailable. Same interface as createLeafletView.
+ * @param {HTMLElement} el
+ * @param {{onSelect: function(Object)}} options
+ * @returns {Object} the coverage view
+ */
+function createOutlineView(el, options) {
+  const svg = svgElement('svg', {
+    class: 'coverage-outline',
+    viewBox: '0 0 ' + OUTLINE_WIDTH + ' ' + OUTLINE_HEIGHT,
+    'aria-hidden': 'true',
+    focusable: 'false',
+  });
+  svg.appendChild(svgElement('polygon', {
+    class: 'coverage-outline__country',
+    points: pointsAttr(COLOMBIA_OUTLINE.map((p) => projectOutline(p[1], p[0]))),
+  }));
+
+  const cityLayer = svgElement('g');
+  svg.appendChild(cityLayer);
+  const groups = {};
+  let point = null;
+
+  el.classList.add('colombia-map--outline');
+  el.appendChild(svg);
+
+  svg.addEventListener('click', (e) => {
+    const group = e.target.closest('[data-city]');
+    const city = group && COVERAGE_CITIES.find((c) => c.id === group.getAttribute('data-city'));
+    if (city) options.onSelect(city);
+  });
+
+  return {
+    setCities(cities) {
+      cities.forEach((city) => {
+        const xy = projectOutline(city.lat, city.lng);
+        const group = svgElement('g', { class: 'coverage-outline__city' + (city.hq ? ' coverage-outline__city--hq' : ''), 'data-city': city.id });
+        group.appendChild(svgElement('circle', { class: 'coverage-outline__area', cx: xy[0], cy: xy[1], r: city.radiusKm / 111 * OUTLINE_SCALE }));
+        group.appendChild(svgElement('circle', { class: 'coverage-outline__dot', cx: xy[0], cy: xy[1], r: city.hq ? 4.5 : 3 }));
+        const label = svgElement('text', { x: xy[0] + 6, y: xy[1] + 3 });
+        label.textContent = city.name;
+        group.appendChild(label);
+        cityLayer.appendChild(group);
+        groups[city.id] = group;
+      });
+    },
+
+    setSelected(city) {
+      Object.keys(groups).forEach((id) => {
+        groups[id].classList.toggle('coverage-outline__city--selected', id === city.id);
+      });
+    },
+
+    showPoint(at, label) {
+      const xy = projectOutline(at.lat, at.lng);
+      if (!point) {
+        point = svgElement('circle', { class: 'coverage-outline__you', r: 3.5 });
+        point.appendChild(svgElement('title'));
+        svg.appendChild(point);
+      }
+      point.setAttribute('cx', xy[0]);
+      point.setAttribute('cy', xy[1]);
+      point.firstChild.textContent = label;
+    },
+
+    setPointLabel(label) {
+      if (point) point.firstChild.textContent = label;
+    },
+
+    destroy() {
+      svg.remove();
+      el.classList.remove('colombia-map--outline');
+    },
+  };
+}
+
+// ==========================================
+// COVERAGE MAP & PANEL
+// ==========================================
+function initColombiaMap() {
+  const el = document.getElementById('colombiaMap');
+  if (!el) return;
+
+  const detailEl = document.getElementById('coverageDetail');
+  const finder = document.getElementById('coverageFinder');
+  const resultsEl = document.getElementById('coverageResults');
+  const locateBtn = document.getElementById('coverageLocate');
+  const placesList = document.getElementById('coveragePlaces');
+  const cityList = document.getElementById('coverageCityList');
+
+  let selected = null;
+  let search = null; // { place, ranking } or a message { key, params }
+  let availability = null;
+  let view = null;
+
+  // ---- Map: Leaflet, or the SVG outline when Leaflet or its tiles fail ----
+  function useOutline() {
+    if (view) view.destroy();
+    view = createOutlineView(el, { onSelect: (city) => select(city, false) });
+    if (COVERAGE_CITIES.length) view.setCities(COVERAGE_CITIES);
+    if (selected) view.setSelected(selected, false);
+  }
+
+  if (typeof L !== 'undefined') {
+    view = createLeafletView(el, { onSelect: (city) => select(city, true), onFail: useOutline });
+  } else {
+    useOutline();
+  }
+
+  // ---- City list (keyboard route to every city, in sync with the map) ----
+  function cityButtons() {
+    return Array.prototype.slice.call(cityList.querySelectorAll('.coverage__city'));
+  }
+
+  function renderCityList() {
+    cityList.innerHTML = COVERAGE_CITIES.map((city) =>
+      '<li><button type="button" class="coverage__city' + (city.hq ? ' coverage__city--hq' : '') + '" data-city="' + city.id + '" aria-pressed="false" tabindex="-1">' +
+        escapeHTML(city.name) + (city.hq ? ' <small>' + i18nHTML('coverage.hq') + '</small>' : '') +
+      '</button></li>'
+    ).join('');
+  }
+
+  function syncCityList() {
+    cityButtons().forEach((btn) => {
+      const current = !!selected && btn.dataset.city === selected.id;
+      btn.setAttribute('aria-pressed', String(current));
+      btn.tabIndex = current ? 0 : -1;
+    });
+  }
+
+  if (cityList) {
+    cityList.addEventListener('click', (e) => {
+      const btn = e.target.closest('.coverage__city');
+      const city = btn && COVERAGE_CITIES.find((c) => c.id === btn.dataset.city);
+      if (city) select(city, true);
+    });
+
+    cityList.addEventListener('keydown', (e) => {
+      const buttons = cityButtons();
+      const index = buttons.indexOf(document.activeElement);
+      if (index === -1) return;
+
+      let next;
+      switch (e.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+          next = (index + 1) % buttons.length;
+          break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+          next = (index - 1 + buttons.length) % buttons.length;
+          break;
+        case 'Home':
+          next = 0;
+          break;
+        case 'End':
+          next = buttons.length - 1;
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+      select(COVERAGE_CITIES[next], true);
+      buttons[next].focus();
+    });
+  }
+
+  // ---- Detail panel ----
+  // Next bookable slot, '…' while loading, null when availability failed to load
+  function nextVisit(city) {
+    if (availability === false) return null;
+    if (!availability) return '…';
+    const day = getVisitSlots(availability, city.id).find((d) => d.slots.length);
+    if (!day) return t('coverage.no-visits');
+    const date = formatDate(day.slots[0].start, { weekday: 'short', day: 'numeric', month: 'short', timeZone: VISIT_TIMEZONE });
+    return date + ', ' + day.slots[0].time;
+  }
+
+  function renderDetail() {
+    const city = selected;
+    if (!city) return;
+
+    const visit = nextVisit(city);
+    const services = city.services.map((id) => '<li>' + escapeHTML(t('coverage.service.' + id)) + '</li>').join('');
+    detailEl.innerHTML =
+      '<h3 class="coverage__detail-title">' + escapeHTML(city.name) +
+        (city.hq ? ' <span class="coverage__badge">' + escapeHTML(t('coverage.hq')) + '</span>' : '') + '</h3>' +
+      '<p class="coverage__subtitle">' + escapeHTML(localize(city.region)) + '</p>' +
+      '<dl class="coverage__facts">' +
+        '<dt>' + escapeHTML(t('coverage.services')) + '</dt><dd><ul class="coverage__services">' + services + '</ul></dd>' +
+        '<dt>' + escapeHTML(t('coverage.response')) + '</dt><dd>' + escapeHTML(t('coverage.response-hours', { hours: city.responseHours })) + '</dd>' +
+        '<dt>' + escapeHTML(t('coverage.service-area')) + '</dt><dd>' + escapeHTML(t('coverage.radius', { km: formatNumber(city.radiusKm) })) + '</dd>' +
+        (visit === null ? '' : '<dt>' + escapeHTML(t('coverage.next-visit')) + '</dt><dd>' + escapeHTML(visit) + '</dd>') +
+      '</dl>' +
+      '<a href="#agendar" class="btn btn--primary btn--full coverage__book" data-city="' + city.id + '">' + escapeHTML(t('coverage.book')) + '</a>';
+  }
+
+  function select(city, pan) {
+    selected = city;
+    view.setSelected(city, pan);
+    if (cityList) syncCityList();
+    renderDetail();
+  }
+
+  // Booking a visit preselects the city in the booking form
+  detailEl.addEventListener('click', (e) => {
+    const link = e.target.closest('.coverage__book');
+    const citySelect = document.getElementById('visitCity');
+    const booking = document.getElementById('agendar');
+    if (!link || !citySelect || !booking) return;
+
+    e.preventDefault();
+    citySelect.value = link.dataset.city;
+    if (citySelect.value === link.dataset.city) citySelect.dispatchEvent(new Event('change'));
+    booking.scrollIntoView({ behavior: isMotionReduced() ? 'auto' : 'smooth' });
+    citySelect.focus({ preventScroll: true });
+  });
+
+  // ---- Nearest coverage finder ----
+  function renderResults() {
+    if (!search) {
+      resultsEl.innerHTML = '';
+      return;
+    }
+    if (search.key) {
+      resultsEl.innerHTML = '<p class="coverage__results-message">' + escapeHTML(t(search.key, search.params)) + '</p>';
+      return;
+    }
+
+    const title = search.place ? t('coverage.nearest-to', { place: search.place.name }) : t('coverage.nearest-you');
+    resultsEl.innerHTML = '<p class="coverage__results-title">' + escapeHTML(title) + '</p>' +
+      '<ol class="coverage__ranking">' + search.ranking.slice(0, COVERAGE_RANK_SIZE).map((entry) =>
+        '<li><button type="button" class="coverage__rank' + (entry.inside ? ' coverage__rank--inside' : '') + '" data-city="' + entry.city.id + '">' +
+          '<strong>' + escapeHTML(entry.city.name) + '</strong>' +
+          '<span>' + formatNumber(Math.round(entry.km)) + ' km · ' + escapeHTML(t(entry.inside ? 'coverage.inside' : 'coverage.outside')) + '</span>' +
+        '</button></li>'
+      ).join('') + '</ol>';
+  }
+
+  function showNearest(point, place) {
+    search = { place: place, ranking: rankCoverage(point) };
+    renderResults();
+    const nearest = search.ranking[0].city;
+    select(nearest, false);
+    view.showPoint(point, place ? place.name : t('coverage.you'), nearest);
+  }
+
+  function showMessage(key, params) {
+    search = { key: key, params: params };
+    renderResults();
+  }
+
+  resultsEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.coverage__rank');
+    const city = btn && COVERAGE_CITIES.find((c) => c.id === btn.dataset.city);
+    if (city) select(city, true);
+  });
+
+  finder.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const query = finder.elements.place.value.trim();
+    if (!query || !COVERAGE_CITIES.length) return;
+
+    const place = findCoveragePlace(query);
+    if (place) showNearest(place, place);
+    else showMessage('coverage.not-found', { query: query });
+  });
+
+  if (locateBtn) {
+    if (!('geolocation' in navigator)) {
+      locateBtn.hidden = true;
+    } else {
+      locateBtn.addEventListener('click', () => {
+        locateBtn.disabled = true;
+        showMessage('coverage.locating');
+        navigator.geolocation.getCurrentPosition((position) => {
+          locateBtn.disabled = false;
+          if (!COVERAGE_CITIES.length) return;
+          showNearest({ lat: position.coords.latitude, lng: position.coords.longitude }, null);
+        }, () => {
+          locateBtn.disabled = false;
+          showMessage('coverage.geo-error');
+        }, { timeout: 10000, maximumAge: 10 * 60 * 1000 });
+      });
+    }
+  }
+
+  // ---- Data ----
+  loadCoverage().then((cities) => {
+    view.setCities(cities);
+    if (cityList) renderCityList();
+    if (placesList) {
+      placesList.innerHTML = cities.concat(COVERAGE_PLACES).map((place) => '<option value="' + escapeHTML(place.name) + '"></option>').join('');
+    }
+    select(cities.find((city) => city.hq) || cities[0], false);
+  }).catch(() => {
+    detailEl.innerHTML = '<p class="coverage__results-message">' + i18nHTML('coverage.load-error') + '</p>';
+  });
+
+  loadVisitAvailability().then((data) => {
+    availability = data;
+    renderDetail();
+  }).catch(() => {
+    // The panel simply leaves out the next visit
+    availability = false;
+    renderDetail();
+  });
+
+  // Re-render the panel and results in the new language
+  document.addEventListener('sanlufer:lang', () => {
+    renderDetail();
+    renderResults();
+    if (search && search.ranking && !search.place) view.setPointLabel(t('coverage.you'));
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initColombiaMap();
+});
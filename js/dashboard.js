@@ -0,0 +1,186 @@
+/**
+ * Camera Dashboard Demo
+ * Turns the four camera tiles of the "Sanlufer Monitor" panel into a small
+ * VMS demo: click (or Enter) maximises a camera, arrow keys cycle through
+ * them, and a scripted timeline of analytics events (people, line crossings,
+ * plate reads) flashes the camera, fills the event log and is announced as
+ * "sanlufer:dashboard-event".
+ */
+
+// ==========================================
+// SCRIPTED EVENTS
+// ==========================================
+// Played in order and looped; delay is in seconds after the previous event
+const DASHBOARD_TIMELINE = [
+  { delay: 2, cam: 'CAM-01', type: 'person' },
+  { delay: 4, cam: 'CAM-03', type: 'line', zone: 'ZONE A', alert: true },
+  { delay: 3, cam: 'CAM-04', type: 'lpr', plate: 'ABC-123' },
+  { delay: 5, cam: 'CAM-02', type: 'person' },
+  { delay: 4, cam: 'CAM-04', type: 'lpr', plate: 'JKM-482' },
+  { delay: 6, cam: 'CAM-01', type: 'person' },
+  { delay: 3, cam: 'CAM-04', type: 'lpr', plate: 'TRX-907', alert: true },
+  { delay: 5, cam: 'CAM-03', type: 'line', zone: 'ZONE A', alert: true },
+];
+
+const DASHBOARD_LOG_SIZE = 6;
+
+// Catalog key and parameters describing an event
+function describeDashboardEvent(event) {
+  switch (event.type) {
+    case 'line': return { key: 'dashboard.event.line', params: { zone: event.zone } };
+    case 'lpr': return { key: event.alert ? 'dashboard.event.lpr-watchlist' : 'dashboard.event.lpr', params: { plate: event.plate } };
+    default: return { key: 'dashboard.event.person' };
+  }
+}
+
+// ==========================================
+// DASHBOARD DEMO
+// ==========================================
+function initDashboardDemo() {
+  const grid = document.getElementById('dashboardCameras');
+  const log = document.getElementById('dashboardEvents');
+  if (!grid || !log) return;
+
+  const cams = Array.prototype.slice.call(grid.querySelectorAll('.dashboard__cam'));
+  const alertsEl = document.getElementById('dashboardAlerts');
+  let active = 0;
+  let maximized = false;
+  let step = 0;
+  let timer = null;
+
+  // ---- Camera selection ----
+  cams.forEach((cam, i) => {
+    const label = cam.querySelector('.dashboard__cam-label');
+    label.id = 'dashboardCamLabel' + (i + 1);
+    cam.setAttribute('role', 'button');
+    cam.setAttribute('aria-labelledby', label.id);
+    cam.setAttribute('aria-pressed', 'false');
+    cam.tabIndex = i === active ? 0 : -1;
+  });
+
+  function render() {
+    grid.classList.toggle('dashboard__cameras--maximized', maximized);
+    cams.forEach((cam, i) => {
+      const current = i === active;
+      cam.classList.toggle('dashboard__cam--active', maximized && current);
+      cam.setAttribute('aria-pressed', String(maximized && current));
+      cam.tabIndex = current ? 0 : -1;
+    });
+  }
+
+  function select(index, focus) {
+    active = (index + cams.length) % cams.length;
+    render();
+    if (focus) cams[active].focus();
+  }
+
+  function toggleMaximized(index) {
+    maximized = !(maximized && index === active);
+    select(index, true);
+  }
+
+  grid.addEventListener('click', (e) => {
+    const cam = e.target.closest('.dashboard__cam');
+    if (cam) toggleMaximized(cams.indexOf(cam));
+  });
+
+  grid.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        select(active + 1, true);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        select(active - 1, true);
+        break;
+      case 'Home':
+        select(0, true);
+        break;
+      case 'End':
+        select(cams.length - 1, true);
+        break;
+      case 'Enter':
+      case ' ':
+        toggleMaximized(active);
+        break;
+      case 'Escape':
+        if (!maximized) return;
+        maximized = false;
+        select(active, true);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  });
+
+  // ---- Event timeline ----
+  function timeNow() {
+    return formatDate(new Date(), { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+  }
+
+  function flash(cam) {
+    cam.classList.remove('dashboard__cam--event');
+    void cam.offsetWidth; // restart the animation
+    cam.classList.add('dashboard__cam--event');
+  }
+
+  function logEvent(event) {
+    const index = cams.findIndex((cam) => cam.dataset.cam === event.cam);
+    if (index === -1) return;
+    const cam = cams[index];
+    const message = describeDashboardEvent(event);
+
+    const empty = log.querySelector('.dashboard__events-empty');
+    if (empty) empty.remove();
+
+    const item = document.createElement('li');
+    item.className = 'dashboard__event' + (event.alert ? ' dashboard__event--alert' : '');
+    item.innerHTML = '<button type="button" class="dashboard__event-btn" data-index="' + index + '">' +
+      '<span class="dashboard__event-meta">' + timeNow() + ' · ' + escapeHTML(event.cam) + '</span>' +
+      i18nHTML(message.key, message.params) + '</button>';
+    log.insertBefore(item, log.firstChild);
+    while (log.children.length > DASHBOARD_LOG_SIZE) log.removeChild(log.lastChild);
+
+    if (event.alert && alertsEl) alertsEl.textContent = String(Number(alertsEl.textContent) + 1);
+    flash(cam);
+
+    // Overlays (js/overlays.js) pick up values such as the plate just read
+    document.dispatchEvent(new CustomEvent('sanlufer:dashboard-event', { detail: event }));
+  }
+
+  function playNext() {
+    const event = DASHBOARD_TIMELINE[step];
+    timer = setTimeout(() => {
+      logEvent(event);
+      step = (step + 1) % DASHBOARD_TIMELINE.length;
+      playNext();
+    }, event.delay * 1000);
+  }
+
+  // Clicking a log entry jumps to its camera
+  log.addEventListener('click', (e) => {
+    const btn = e.target.closest('.dashboard__event-btn');
+    if (!btn) return;
+    maximized = true;
+    select(Number(btn.dataset.index), true);
+  });
+
+  render();
+
+  // The feed is content, not decoration, but only plays while someone can see it
+  registerAnimation({
+    element: grid.closest('.dashboard') || grid,
+    decorative: false,
+    start: playNext,
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initDashboardDemo();
+});
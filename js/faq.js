@@ -0,0 +1,228 @@
+/**
+ * FAQ
+ * Questions and answers from one bilingual file (data/faq.json), rendered as
+ * <details> items with live search (accent-insensitive, matches highlighted)
+ * and a category filter. Every question has a deep link, #faq-<id>, that
+ * opens it; opening a question puts its link in the address bar. The
+ * FAQPage structured data is generated from the same file.
+ */
+
+// ==========================================
+// SEARCH
+// ==========================================
+const FAQ_URL = 'data/faq.json';
+const FAQ_HASH_PREFIX = '#faq-';
+
+// "Garantía" and "garantia" should find each other
+function foldText(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function getSearchTerms(query) {
+  return foldText(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Escaped HTML of a text with every occurrence of the terms wrapped in <mark>.
+ * @param {string} text
+ * @param {string[]} terms - folded, as from getSearchTerms()
+ * @returns {string}
+ */
+function highlightHTML(text, terms) {
+  if (!terms.length) return escapeHTML(text);
+
+  // Fold one character at a time so matches map back to the original text
+  let folded = '';
+  const origin = [];
+  for (let i = 0; i < text.length; i++) {
+    const part = foldText(text[i]);
+    for (let j = 0; j < part.length; j++) {
+      folded += part[j];
+      origin.push(i);
+    }
+  }
+
+  const marked = new Array(text.length).fill(false);
+  terms.forEach((term) => {
+    let at = folded.indexOf(term);
+    while (at !== -1) {
+      for (let k = at; k < at + term.length; k++) marked[origin[k]] = true;
+      at = folded.indexOf(term, at + term.length);
+    }
+  });
+
+  let html = '';
+  for (let i = 0; i < text.length; i++) {
+    if (marked[i] && !marked[i - 1]) html += '<mark>';
+    html += escapeHTML(text[i]);
+    if (marked[i] && !marked[i + 1]) html += '</mark>';
+  }
+  return html;
+}
+
+function matchesTerms(text, terms) {
+  const folded = foldText(text);
+  return terms.every((term) => folded.indexOf(term) !== -1);
+}
+
+// ==========================================
+// STRUCTURED DATA
+// ==========================================
+function buildFaqSchema(questions, lang) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    'inLanguage': lang,
+    'mainEntity': questions.map((item) => ({
+      '@type': 'Question',
+      'name': localize(item.question, lang),
+      'acceptedAnswer': { '@type': 'Answer', 'text': localize(item.answer, lang) },
+    })),
+  };
+}
+
+function renderFaqSchema(questions) {
+  let script = document.getElementById('faqSchema');
+  if (!script) {
+    script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = 'faqSchema';
+    document.head.appendChild(script);
+  }
+  script.textContent = JSON.stringify(buildFaqSchema(questions, getLang()));
+}
+
+// ==========================================
+// FAQ LIST
+// ==========================================
+function initFaq() {
+  const list = document.getElementById('faqList');
+  if (!list) return;
+
+  const tools = document.getElementById('faqTools');
+  const searchInput = document.getElementById('faqSearch');
+  const filterEl = document.getElementById('faqFilter');
+  const statusEl = document.getElementById('faqStatus');
+
+  let data = null;
+  let category = '';
+  const opened = new Set();
+
+  function isVisible(item, terms) {
+    if (category && item.category !== category) return false;
+    return !terms.length || matchesTerms(localize(item.question) + ' ' + localize(item.answer), terms);
+  }
+
+  // ---- Rendering ----
+  function itemHTML(item, terms) {
+    // While searching, answers that contain the terms open by themselves
+    const open = opened.has(item.id) || (terms.length > 0 && matchesTerms(localize(item.answer), terms));
+    return '<details class="faq__item glass-card" id="faq-' + escapeHTML(item.id) + '" data-faq="' + escapeHTML(item.id) + '"' + (open ? ' open' : '') + '>' +
+      '<summary><span>' + highlightHTML(localize(item.question), terms) + '</span>' +
+      '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M6 9l6 6 6-6"/></svg></summary>' +
+      '<div class="faq__answer"><p>' + highlightHTML(localize(item.answer), terms) + '</p>' +
+      '<a class="faq__link" href="' + FAQ_HASH_PREFIX + escapeHTML(item.id) + '">' + escapeHTML(t('faq.link')) + '</a></div>' +
+    '</details>';
+  }
+
+  function renderFilter() {
+    const options = [{ id: '', label: t('faq.all') }].concat(data.categories.map((c) => ({ id: c.id, label: localize(c) })));
+    filterEl.innerHTML = options.map((option) =>
+      '<button type="button" class="faq__category" data-category="' + escapeHTML(option.id) + '"' +
+      ' aria-pressed="' + (option.id === category ? 'true' : 'false') + '">' + escapeHTML(option.label) + '</button>'
+    ).join('');
+  }
+
+  function renderList() {
+    const terms = getSearchTerms(searchInput.value);
+    const visible = data.questions.filter((item) => isVisible(item, terms));
+    list.innerHTML = visible.map((item) => itemHTML(item, terms)).join('');
+
+    if (!terms.length && !category) statusEl.textContent = '';
+    else if (!visible.length) statusEl.textContent = t('faq.no-results');
+    else statusEl.textContent = t('faq.results', { count: visible.length });
+  }
+
+  function render() {
+    renderFilter();
+    renderList();
+    renderFaqSchema(data.questions);
+  }
+
+  // ---- Deep links ----
+  function openFromHash() {
+    if (location.hash.indexOf(FAQ_HASH_PREFIX) !== 0) return;
+    const id = decodeURIComponent(location.hash.slice(FAQ_HASH_PREFIX.length));
+    const item = data.questions.find((q) => q.id === id);
+    if (!item) return;
+
+    // A linked question hidden by the search or filter brings everything back
+    if (!isVisible(item, getSearchTerms(searchInput.value))) {
+      searchInput.value = '';
+      category = '';
+      renderFilter();
+    }
+    opened.add(id);
+    renderList();
+
+    const details = document.getElementById('faq-' + id);
+    const navbar = document.getElementById('navbar');
+    const top = details.getBoundingClientRect().top + window.scrollY - (navbar ? navbar.offsetHeight : 80);
+    window.scrollTo({ top: top, behavior: isMotionReduced() ? 'auto' : 'smooth' });
+    details.querySelector('summary').focus({ preventScroll: true });
+  }
+
+  // Opening a question makes its link the address to share
+  list.addEventListener('click', (e) => {
+    const summary = e.target.closest('summary');
+    if (!summary) return;
+    const details = summary.parentElement;
+    const id = details.dataset.faq;
+    const link = FAQ_HASH_PREFIX + id;
+
+    if (details.open) {
+      opened.delete(id);
+      if (location.hash === link) history.replaceState(history.state, '', location.pathname + location.search);
+    } else {
+      opened.add(id);
+      history.replaceState(history.state, '', link);
+    }
+  });
+
+  searchInput.addEventListener('input', renderList);
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && searchInput.value) {
+      searchInput.value = '';
+      renderList();
+    }
+  });
+
+  filterEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-category]');
+    if (!btn) return;
+    category = btn.dataset.category;
+    filterEl.querySelectorAll('[data-category]').forEach((b) => {
+      b.setAttribute('aria-pressed', b === btn ? 'true' : 'false');
+    });
+    renderList();
+  });
+
+  fetch(FAQ_URL).then((response) => {
+    if (!response.ok) throw new Error('FAQ unavailable: ' + response.status);
+    return response.json();
+  }).then((json) => {
+    data = json;
+    render();
+    if (tools) tools.hidden = false;
+    openFromHash();
+
+    window.addEventListener('hashchange', openFromHash);
+    document.addEventListener('sanlufer:lang', render);
+  }).catch(() => {
+    list.innerHTML = '<p class="faq__empty">' + i18nHTML('faq.load-error') + '</p>';
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initFaq();
+});
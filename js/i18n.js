@@ -0,0 +1,333 @@
+/**
+ * Internationalisation
+ * Message catalog with t(key) lookups, interpolation, plural forms and
+ * locale-aware number/date formatting. Markup opts in with data-i18n (text),
+ * data-i18n-html (trusted catalog markup) and data-i18n-attr; setLang()
+ * re-translates the page and fires a single "sanlufer:lang" event.
+ *
+ * The language comes from the URL (?lang=en or #lang=en), then the saved
+ * preference, then the browser languages. Meta tags (data-i18n-attr) and
+ * JSON-LD (data-i18n-jsonld) always follow it; the URL and canonical/hreflang
+ * links only for a language the URL asked for or the visitor switched to, so
+ * a crawler with an English locale still sees the Spanish page as canonical.
+ *
+ * Catalogs live in js/i18n/<lang>.js. Adding a language means adding it to
+ * I18N_LANGUAGES, writing its catalog and loading that script in index.html.
+ */
+
+// ==========================================
+// LANGUAGES & CATALOG
+// ==========================================
+const I18N_DEFAULT_LANG = 'es';
+const I18N_STORAGE_KEY = 'sanlufer-lang';
+const I18N_URL_PARAM = 'lang';
+
+const I18N_LANGUAGES = {
+  es: { label: 'ES', name: 'Español', locale: 'es-CO' },
+  en: { label: 'EN', name: 'English', locale: 'en-US' },
+};
+
+const I18N_MESSAGES = {};
+
+/**
+ * Add messages to a language's catalog (later calls extend earlier ones).
+ * @param {string} lang
+ * @param {Object<string, string|Array|Object>} messages - key → text, list of
+ *   texts, or plural forms ({one, other}) picked by params.count
+ */
+function registerMessages(lang, messages) {
+  I18N_MESSAGES[lang] = Object.assign(I18N_MESSAGES[lang] || {}, messages);
+}
+
+function getLang() {
+  const lang = document.documentElement.getAttribute('data-lang');
+  return isSupportedLang(lang) ? lang : I18N_DEFAULT_LANG;
+}
+
+function getLocale(lang) {
+  return I18N_LANGUAGES[lang || getLang()].locale;
+}
+
+function isSupportedLang(lang) {
+  return typeof lang === 'string' && Object.prototype.hasOwnProperty.call(I18N_LANGUAGES, lang);
+}
+
+// ==========================================
+// DETECTION & URL
+// ==========================================
+// "?lang=en" or "#lang=en"; null when absent or unsupported
+function getURLLang() {
+  const fromQuery = new URLSearchParams(location.search).get(I18N_URL_PARAM);
+  if (isSupportedLang(fromQuery)) return fromQuery;
+
+  const hash = location.hash.slice(1);
+  const fromHash = hash.indexOf(I18N_URL_PARAM + '=') === 0 ? new URLSearchParams(hash).get(I18N_URL_PARAM) : null;
+  return isSupportedLang(fromHash) ? fromHash : null;
+}
+
+/**
+ * Pick the language for this visit: URL, then saved preference, then the
+ * first supported browser language (en-GB → en), then the default.
+ * The head script in index.html mirrors this to hide untranslated text.
+ * @returns {string}
+ */
+function detectLang() {
+  const fromURL = getURLLang();
+  if (fromURL) return fromURL;
+
+  const saved = localStorage.getItem(I18N_STORAGE_KEY);
+  if (isSupportedLang(saved)) return saved;
+
+  const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+  for (let i = 0; i < preferred.length; i++) {
+    const primary = String(preferred[i]).toLowerCase().split('-')[0];
+    if (isSupportedLang(primary)) return primary;
+  }
+  return I18N_DEFAULT_LANG;
+}
+
+/**
+ * The address of a page in a language. The default language needs no
+ * parameter unless the address already carries one (so a shared ?lang=es
+ * link keeps beating a saved English preference).
+ * @param {string} lang
+ * @param {string} href - base address
+ * @returns {string}
+ */
+function langURL(lang, href) {
+  const url = new URL(href);
+  const hadParam = url.searchParams.has(I18N_URL_PARAM) || url.hash.indexOf('#' + I18N_URL_PARAM + '=') === 0;
+
+  if (url.hash.indexOf('#' + I18N_URL_PARAM + '=') === 0) url.hash = '';
+  if (lang === I18N_DEFAULT_LANG && !hadParam) url.searchParams.delete(I18N_URL_PARAM);
+  else url.searchParams.set(I18N_URL_PARAM, lang);
+  return url.href;
+}
+
+function updateLangURL(lang) {
+  const href = langURL(lang, location.href);
+  if (href !== location.href) history.replaceState(history.state, '', href);
+}
+
+// Canonical, og:url/locale and hreflang alternates for the current language
+function updateLangLinks(lang) {
+  const head = document.head;
+  const canonical = head.querySelector('link[rel="canonical"]');
+  if (!canonical) return;
+
+  // The canonical address of the default language, without parameters
+  const canonicalURL = new URL(canonical.href);
+  const site = canonicalURL.origin + canonicalURL.pathname;
+  const pageURL = (code) => (code === I18N_DEFAULT_LANG ? site : langURL(code, site));
+  const ogLocale = (code) => getLocale(code).replace('-', '_');
+
+  canonical.href = pageURL(lang);
+  const ogURL = head.querySelector('meta[property="og:url"]');
+  if (ogURL) ogURL.content = pageURL(lang);
+
+  const locale = head.querySelector('meta[property="og:locale"]');
+  if (locale) {
+    locale.content = ogLocale(lang);
+    head.querySelectorAll('meta[property="og:locale:alternate"]').forEach((meta) => meta.remove());
+    Object.keys(I18N_LANGUAGES).filter((code) => code !== lang).reverse().forEach((code) => {
+      const meta = document.createElement('meta');
+      meta.setAttribute('property', 'og:locale:alternate');
+      meta.content = ogLocale(code);
+      locale.after(meta);
+    });
+  }
+
+  Object.keys(I18N_LANGUAGES).forEach((code) => {
+    let link = head.querySelector('link[rel="alternate"][hreflang="' + code + '"]');
+    if (!link) {
+      link = document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = code;
+      (head.querySelector('link[rel="alternate"][hreflang="x-default"]') || canonical).before(link);
+    }
+    link.href = pageURL(code);
+  });
+}
+
+// ==========================================
+// LOOKUP & FORMATTING
+// ==========================================
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Translate a catalog key, falling back to the default language, then the key.
+ * @param {string} key
+ * @param {Object} [params] - values for {placeholders}; count picks plural forms
+ * @param {string} [lang] - defaults to the page language
+ * @returns {string|Array<string>}
+ */
+function t(key, params, lang) {
+  lang = lang || getLang();
+  let message = (I18N_MESSAGES[lang] || {})[key];
+  if (message === undefined) message = (I18N_MESSAGES[I18N_DEFAULT_LANG] || {})[key];
+  if (message === undefined) return key;
+
+  if (Array.isArray(message)) return message;
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(getLocale(lang)).select(params && params.count || 0);
+    message = message[form] || message.other;
+  }
+  return params ? interpolate(message, params) : message;
+}
+
+/**
+ * Pick the active language from a {es, en, ...} data object (quiz tables,
+ * holiday names...), falling back to the default language.
+ * @param {Object|string} value
+ * @param {string} [lang]
+ * @returns {*}
+ */
+function localize(value, lang) {
+  if (!value || typeof value !== 'object') return value;
+  lang = lang || getLang();
+  return lang in value ? value[lang] : value[I18N_DEFAULT_LANG];
+}
+
+function formatNumber(value, options, lang) {
+  return new Intl.NumberFormat(getLocale(lang), options).format(value);
+}
+
+function formatCurrency(value, currency, lang) {
+  return formatNumber(value, { style: 'currency', currency: currency || 'COP', maximumFractionDigits: 0 }, lang);
+}
+
+function formatDate(date, options, lang) {
+  return new Intl.DateTimeFormat(getLocale(lang), options).format(date);
+}
+
+// ==========================================
+// DOM TRANSLATION
+// ==========================================
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c]);
+}
+
+/**
+ * Markup for a translated message that follows later language changes,
+ * for HTML built in JS (statuses, buttons...).
+ * @param {string} key
+ * @param {Object} [params] - escaped before interpolation
+ * @returns {string}
+ */
+function i18nHTML(key, params) {
+  const attrs = params ? ' data-i18n-params="' + escapeHTML(JSON.stringify(params)) + '"' : '';
+  return '<span data-i18n-html="' + key + '"' + attrs + '>' + t(key, params && escapeParams(params)) + '</span>';
+}
+
+function escapeParams(params) {
+  const escaped = {};
+  Object.keys(params).forEach((name) => {
+    escaped[name] = escapeHTML(params[name]);
+  });
+  return escaped;
+}
+
+// Set "a.b.0.c" inside parsed JSON-LD
+function setJSONPath(data, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => (node ? node[part] : undefined), data);
+  if (target && typeof target === 'object') target[last] = value;
+}
+
+// "path:key; path:key" pairs, as used by data-i18n-attr and data-i18n-jsonld
+function parseI18nPairs(value) {
+  return value.split(';').map((pair) => pair.split(':').map((part) => part.trim())).filter((parts) => parts.length === 2 && parts[0]);
+}
+
+function translateElement(el) {
+  const params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : undefined;
+
+  if (el.dataset.i18n) el.textContent = t(el.dataset.i18n, params);
+  if (el.dataset.i18nHtml) el.innerHTML = t(el.dataset.i18nHtml, params && escapeParams(params));
+
+  // "aria-label:key; placeholder:other.key"
+  if (el.dataset.i18nAttr) {
+    parseI18nPairs(el.dataset.i18nAttr).forEach((pair) => el.setAttribute(pair[0], t(pair[1], params)));
+  }
+
+  // Structured data: <script type="application/ld+json" data-i18n-jsonld="description: some.key">
+  if (el.dataset.i18nJsonld) {
+    const data = JSON.parse(el.textContent);
+    parseI18nPairs(el.dataset.i18nJsonld).forEach((pair) => setJSONPath(data, pair[0], t(pair[1], params)));
+    el.textContent = '\n  ' + JSON.stringify(data, null, 2).replace(/\n/g, '\n  ') + '\n  ';
+  }
+}
+
+function applyTranslations(root) {
+  root = root || document;
+  const selector = '[data-i18n], [data-i18n-html], [data-i18n-attr], [data-i18n-jsonld]';
+  if (root.nodeType === 1 && root.matches(selector)) translateElement(root);
+  root.querySelectorAll(selector).forEach(translateElement);
+}
+
+/**
+ * Update the parameters of a translated element and re-render it.
+ * @param {HTMLElement} el - carrying data-i18n or data-i18n-html
+ * @param {Object} params
+ */
+function setI18nParams(el, params) {
+  el.dataset.i18nParams = JSON.stringify(params);
+  translateElement(el);
+}
+
+/**
+ * Switch the page language on the visitor's request: translates the markup,
+ * head and URL, remembers the choice (if the visitor allowed preference
+ * storage) and fires "sanlufer:lang" ({lang, previous}) for modules with
+ * their own texts.
+ * @param {string} lang
+ * @param {{save: boolean}} [options] - save: false to not store the choice
+ * @returns {boolean} false for an unsupported language
+ */
+function setLang(lang, options) {
+  if (!isSupportedLang(lang)) return false;
+
+  const html = document.documentElement;
+  const previous = getLang();
+  html.setAttribute('data-lang', lang);
+  html.setAttribute('lang', lang);
+  if ((!options || options.save !== false) && hasConsent('preferences')) localStorage.setItem(I18N_STORAGE_KEY, lang);
+
+  applyTranslations(document);
+  html.removeAttribute('data-i18n-pending');
+  updateLangURL(lang);
+  updateLangLinks(lang);
+
+  if (lang !== previous) {
+    document.dispatchEvent(new CustomEvent('sanlufer:lang', { detail: { lang: lang, previous: previous } }));
+  }
+  return true;
+}
+
+function initI18n() {
+  const html = document.documentElement;
+  const lang = detectLang();
+
+  // The markup is written in the default language; translate it once if the
+  // detected language differs (the head script hides it until then). Only an
+  // explicit switch is saved: a shared ?lang=en link or the browser language
+  // doesn't overwrite the visitor's preference.
+  html.setAttribute('data-lang', lang);
+  html.setAttribute('lang', lang);
+  if (lang !== I18N_DEFAULT_LANG) applyTranslations(document);
+  html.removeAttribute('data-i18n-pending');
+
+  // A saved or browser language translates the page but leaves its address
+  // (and canonical) alone; only a language asked for in the URL owns it
+  if (getURLLang()) {
+    updateLangURL(lang);
+    updateLangLinks(lang);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initI18n();
+});
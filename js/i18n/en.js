@@ -0,0 +1,473 @@
+/**
+ * English messages
+ */
+registerMessages('en', {
+  // Page metadata (title, meta tags, structured data)
+  'meta.title': 'Sanlufer Seguridad | Security Cameras and Video Surveillance in Colombia',
+  'meta.description': 'Sanlufer Seguridad: leading security camera and AI video surveillance company across Colombia. Based in Medellín with service in Bogotá, Cali, Armenia, Pereira, Barranquilla, Cartagena, Bucaramanga and Pasto. 15+ years, 150+ clients. Hikvision, Dahua, Axis. Free quote.',
+  'meta.og-title': 'Sanlufer Seguridad | Security Cameras and Video Surveillance across Colombia',
+  'meta.og-description': 'Experts in AI video surveillance, automation and structured cabling. Based in Medellín. Nationwide service: Bogotá, Cali, Armenia, Pereira, Barranquilla, Cartagena, Bucaramanga. 15+ years. Free quote.',
+  'meta.og-image-alt': 'Sanlufer Seguridad - Security cameras and video surveillance in Colombia',
+  'meta.twitter-title': 'Sanlufer Seguridad | Security Cameras Colombia',
+  'meta.twitter-description': 'AI video surveillance, automation and structured cabling across Colombia. Based in Medellín. Bogotá, Cali, Armenia and more. 15+ years, 150+ clients.',
+  'schema.business-description': 'Leading electronic security company in Colombia based in Medellín, Antioquia. Over 15 years of experience in AI video surveillance, building automation and certified structured cabling. Nationwide service: Bogotá, Cali, Armenia, Pereira, Barranquilla, Cartagena, Bucaramanga, Pasto and all of Colombia.',
+  'schema.catalog': 'Electronic Security Services',
+  'schema.video-surveillance': 'Intelligent Video Surveillance Colombia',
+  'schema.video-surveillance-description': 'IP cameras, CCTV, AI video analytics and 24/7 remote monitoring in Medellín, Bogotá, Cali, Armenia and all of Colombia',
+  'schema.automation': 'Building Automation Colombia',
+  'schema.automation-description': 'Biometric access control, smart buildings and home automation in Bogotá, Medellín, Cali, Barranquilla and all of Colombia',
+  'schema.cabling': 'Certified Structured Cabling Colombia',
+  'schema.cabling-description': 'Certified networks, fibre optics and business connectivity. Nationwide coverage in all major Colombian cities',
+
+  // Emergency bar
+  'emergency.need-urgent-security-call': '<strong>Need urgent security?</strong> Call us now',
+
+  // Navigation
+  'nav.home': 'Home',
+  'nav.services': 'Services',
+  'nav.about': 'About',
+  'nav.brands': 'Brands',
+  'nav.contact': 'Contact',
+  'nav.quote': 'Quote',
+  'nav.language': 'Change language',
+  'theme.button': 'Theme: {current}. Switch to {next}',
+  'theme.system-now': 'system ({theme})',
+  'theme.name.system': 'system',
+  'theme.name.light': 'light',
+  'theme.name.dark': 'dark',
+  'motion.button': 'Reduce animations',
+
+  // Hero
+  'hero.colombia-nationwide-electronic-security': 'Colombia &mdash; Nationwide Electronic Security Coverage',
+  'hero.intelligent-security': 'Intelligent Security',
+  'hero.experts-video-surveillance-automation': 'Experts in video surveillance, automation and structured cabling across all of Colombia. Based in Medellín serving Bogotá, Cali, Armenia and more. +15 years protecting businesses.',
+  'hero.request-quote': 'Request a Quote',
+  'hero.services': 'Our Services',
+  'hero.scroll': 'Scroll',
+  'hero.typing': [
+    'for your Business',
+    'with AI Surveillance',
+    'across all Colombia',
+    'from Medellín',
+    'in Bogotá & Cali',
+    'in Barranquilla & Cartagena',
+    'Total Automation',
+    'Certified Cabling',
+    '24/7 Tech Support',
+    'in Bucaramanga & Pasto',
+    'in Pereira & the Coffee Region',
+  ],
+
+  // Pillars
+  'pillars.pillars': 'Our Pillars',
+  'pillars.security': 'Security',
+  'pillars.cameras-alarms-biometric-access': 'Cameras, alarms, biometric access and perimeter detection with cutting-edge technology.',
+  'pillars.automation': 'Automation',
+  'pillars.home-automation-smart-buildings': 'Home automation, smart buildings, lighting, climate and automated blinds control.',
+  'pillars.infrastructure': 'Infrastructure',
+  'pillars.structured-cabling-fiber-optics': 'Structured cabling, fiber optics and certified networks for enterprise connectivity.',
+
+  // Services
+  'services.services': 'Our Services',
+  'services.solutions-protect': 'Solutions that <span class="text-accent">Protect</span>',
+  'services.offer-comprehensive-electronic-security': 'We offer comprehensive electronic security, automation and network infrastructure solutions tailored to every business need.',
+  'services.intelligent-video-surveillance': 'Intelligent Video Surveillance',
+  'services.more-than-cameras-strategic': 'More than cameras: strategic vision for your security with advanced video analytics and artificial intelligence.',
+  'services.hd-ip-cameras-night': 'HD IP cameras with night vision and ColorVu',
+  'services.ai-analytics-intrusion-detection': 'AI Analytics: intrusion detection, counting, LPR',
+  'services.vms-software-hikcentral-milestone': 'VMS Software: HikCentral, Milestone, Avigilon',
+  'services.24-7-remote-monitoring': '24/7 remote monitoring via app or control center',
+  'services.request-information': 'Request information',
+  'services.building-automation': 'Building Automation',
+  'services.transform-spaces-into-intelligent': 'We transform spaces into intelligent environments with comprehensive access control, security and comfort.',
+  'services.access-control-facial-recognition': 'Access control: facial recognition and QR',
+  'services.amenities-management-capacity-control': 'Amenities management and capacity control',
+  'services.iot-sensors-real-time': 'IoT sensors and real-time digital alerts',
+  'services.full-home-automation-integration': 'Full home automation integration',
+  'services.structured-cabling': 'Structured Cabling',
+  'services.network-untangled-professional-design': 'Your network, untangled. Professional design and installation of certified networks with fiber optics.',
+  'services.professional-voice-data-network': 'Professional voice and data network installation',
+  'services.fiber-optics-high-speed': 'Fiber optics and high-speed connectivity',
+  'services.scalable-infrastructure-new-technologies': 'Scalable infrastructure for new technologies',
+  'services.preventive-maintenance-agile-tech': 'Preventive maintenance and agile tech support',
+
+  // Statistics
+  'stats.statistics': 'Statistics',
+  'stats.happy-clients': 'Happy Clients',
+  'stats.years-experience': 'Years Experience',
+  'stats.projects-completed': 'Projects Completed',
+  'stats.tech-support': 'Tech Support',
+
+  // Crime counter
+  'urgency.crime-statistics': 'Crime Statistics',
+  'urgency.don-t-become-statistic': 'Don\'t become a statistic. Protect your business today.',
+  'urgency.protect-my-business': 'Protect my business',
+  'urgency.thefts-per-minute': 'In Colombia, more than <strong class="urgency-counter__number" id="crimeCounter">{count}</strong> thefts occur per minute',
+
+  // About & dashboard demo
+  'about.why-choose': 'Why Choose Us',
+  'about.over-15-years': 'Over <span class="text-accent">15 years</span> protecting what matters most',
+  'about.don-t-just-install': 'We don\'t just install cameras — we design intelligent security ecosystems. We combine AI video analytics, automation and certified networks to create protection that evolves with your business.',
+  'about.cutting-edge-technology': 'Cutting-Edge Technology',
+  'about.hikvision-dahua-axis-avigilon': 'Hikvision, Dahua, Axis, Avigilon — we work with the world\'s leading brands.',
+  'about.24-7-monitoring': '24/7 Monitoring',
+  'about.uninterrupted-surveillance-ai-immediate': 'Uninterrupted surveillance with AI and immediate response to any incident.',
+  'about.tailored-solutions': 'Tailored Solutions',
+  'about.each-project-designed-based': 'Each project is designed based on your infrastructure, risks and budget.',
+  'about.certified-technicians': 'Certified Technicians',
+  'about.staff-trained-manufacturers-up': 'Staff trained by manufacturers with up-to-date certifications.',
+  'about.ai-active': 'AI Active',
+  'about.entrance': 'Entrance',
+  'about.lobby': 'Lobby',
+  'about.perimeter': 'Perimeter',
+  'about.parking': 'Parking',
+  'about.protection': 'Protection',
+  'about.network-active': 'Network Active',
+  'about.cameras-online': 'Cameras Online',
+  'about.access-ctrl': 'Access Ctrl',
+  'about.alerts-today': 'Alerts Today',
+  'about.last-ai-scan': 'Last AI scan:',
+  'about.threats-detected': 'threats detected',
+  'dashboard.events': 'Events',
+  'dashboard.waiting': 'Waiting for events…',
+  'dashboard.hint': 'Click a camera to maximise it · arrow keys to switch · Esc to go back',
+  'dashboard.event.person': 'Person detected',
+  'dashboard.event.line': 'Line crossing in {zone}',
+  'dashboard.event.lpr': 'Plate read: {plate}',
+  'dashboard.event.lpr-watchlist': 'Watchlist plate: {plate}',
+
+  // Process
+  'process.how-work': 'How We Work',
+  'process.simple-effective': 'A <span class="text-accent">simple and effective</span> process',
+  'process.consultation': 'Consultation',
+  'process.evaluate-security-needs-free': 'We evaluate your security needs with a free technical visit. We analyze your infrastructure and risks.',
+  'process.design': 'Design',
+  'process.create-customized-proposal-technical': 'We create a customized proposal with technical plans, the best solutions and transparent pricing.',
+  'process.installation': 'Installation',
+  'process.certified-technicians-install-configure': 'Certified technicians install, configure and test every component with minimal disruption to your operations.',
+  'process.support': 'Support',
+  'process.24-7-technical-support': '24/7 technical support, preventive maintenance and updates for continuous protection.',
+
+  // Security assessment quiz
+  'quiz.free-tool': 'Free Tool',
+  'quiz.evaluate-security': 'Evaluate your <span class="text-accent">Security</span> level',
+  'quiz.answer-4-quick-questions': 'Answer 4 quick questions and discover how protected your business is.',
+  'quiz.back': 'Back',
+  'quiz.what-type-property-do': 'What type of property do you want to protect?',
+  'quiz.house-apartment': 'House / Apartment',
+  'quiz.office-retail': 'Office / Retail',
+  'quiz.building-condo': 'Building / Condo',
+  'quiz.warehouse-industry': 'Warehouse / Industry',
+  'quiz.what-level-security-do': 'What level of security do you currently have?',
+  'quiz.no-security': 'No security',
+  'quiz.locks-padlocks': 'Locks and padlocks',
+  'quiz.basic-cameras-alarm': 'Basic cameras / alarm',
+  'quiz.professional-system': 'Professional system',
+  'quiz.what-main-concern': 'What is your main concern?',
+  'quiz.theft-vandalism': 'Theft and vandalism',
+  'quiz.access-control': 'Access control',
+  'quiz.24-7-remote-monitoring': '24/7 Remote monitoring',
+  'quiz.comprehensive-security': 'Comprehensive security',
+  'quiz.when-do-need-implement': 'When do you need to implement the solution?',
+  'quiz.soon-possible': 'As soon as possible',
+  'quiz.month': 'This month',
+  'quiz.within-3-months': 'Within 3 months',
+  'quiz.just-exploring-options': 'Just exploring options',
+  'quiz.review-answers': 'Review your answers',
+  'quiz.see-my-result': 'See my result',
+  'quiz.request-free-professional-assessment': 'Request free professional assessment',
+  'quiz.download-report': 'Download report',
+  'quiz.evaluate-again': 'Evaluate again',
+  'quiz.aria': 'Security Assessment Quiz',
+  'quiz.step-of': 'Step {step} of {total}',
+  'quiz.change': 'Change',
+  'quiz.recommended': 'Recommended for you',
+  'quiz.driver': 'Main driver: {driver} (−{points} points)',
+  'quiz.summary.result': 'Security assessment result: {score}/100 — {level}',
+  'quiz.summary.driver': 'Main driver: {driver}',
+  'quiz.summary.services': 'Recommended services: {services}',
+  'quiz.summary.tier': 'Equipment tier: {tier}',
+  'quiz.report.title': 'Security Assessment',
+  'quiz.report.dated': 'Security Assessment — {date}',
+  'quiz.report.print': 'Print / save PDF',
+  'quiz.report.result': 'Result',
+  'quiz.report.answers': 'Your answers',
+  'quiz.report.recommendation': 'Recommendation',
+  'quiz.report.contact': 'Contact',
+  'quiz.report.disclaimer': 'Indicative result. A free technical visit confirms the design and the budget.',
+
+  // Testimonials
+  'testimonials.testimonials': 'Testimonials',
+  'testimonials.what-clients-say': 'What our <span class="text-accent">clients say</span>',
+  'testimonials.filter-label': 'Filter by sector',
+  'testimonials.all': 'All',
+  'testimonials.carousel': 'Client reviews',
+  'testimonials.carousel-role': 'carousel',
+  'testimonials.slide-role': 'testimonial',
+  'testimonials.slide': '{n} of {total}',
+  'testimonials.pause': 'Pause testimonials',
+  'testimonials.play': 'Resume testimonials',
+  'testimonials.previous': 'Previous testimonial',
+  'testimonials.next': 'Next testimonial',
+  'testimonials.goto': 'Show testimonial {n}',
+  'testimonials.stars': '{rating} out of 5 stars',
+  'testimonials.summary': 'Average rating of {rating} out of 5 from {count} reviews.',
+  'testimonials.load-error': 'We could not load our client reviews. Please try again later.',
+
+  // Brands
+  'brands.brands': 'Our Brands',
+  'brands.work-best-brands': 'We work with the <span class="text-accent">Best Brands</span>',
+  'brands.carousel': 'Brand partners carousel',
+  'brands.pause': 'Pause carousel',
+  'brands.play': 'Play carousel',
+  'brands.hint': 'Select a brand to see the product lines we install and the related services.',
+  'brands.close': 'Close catalog',
+  'brands.families': 'Product lines we install',
+  'brands.certifications': 'Certifications our technicians hold',
+  'brands.services': 'Related services',
+  'brands.website': 'Official {brand} website',
+
+  // Trust badges
+  'trust.full-warranty': 'Full Warranty',
+  'trust.equipment-labor': 'Equipment & labor',
+  'trust.data-protected': 'Data Protected',
+  'trust.end-end-encryption': 'End-to-end encryption',
+  'trust.certified-technicians': 'Certified Technicians',
+  'trust.official-manufacturers': 'By official manufacturers',
+  'trust.national-coverage': 'National Coverage',
+  'trust.all-colombia': 'All of Colombia',
+  'trust.free-consultation': 'Free Consultation',
+  'trust.no-cost-site-visit': 'No-cost site visit',
+
+  // Coverage
+  'coverage.national-coverage': 'National Coverage',
+  'coverage.service-across-all-colombia': 'Service across all of <span class="text-accent">Colombia</span>',
+  'coverage.based-medellin-antioquia-bring': 'Based in Medellín, Antioquia, we bring professional electronic security solutions to major cities nationwide.',
+  'coverage.headquarters-medellin-antioquia': 'Headquarters — Medellín, Antioquia',
+  'coverage.central': 'Central',
+  'coverage.coffee-region': 'Coffee Region',
+  'coverage.caribbean-coast': 'Caribbean Coast',
+  'coverage.south': 'South',
+  'coverage.hq': 'HQ',
+  'coverage.map-label': 'Sanlufer Seguridad national coverage map of Colombia',
+  'coverage.city-list': 'Cities we cover',
+  'coverage.finder-title': 'Find your nearest coverage',
+  'coverage.finder-label': 'Your city or town',
+  'coverage.finder-placeholder': 'e.g. Envigado',
+  'coverage.search': 'Search',
+  'coverage.use-location': 'Use my location',
+  'coverage.locating': 'Finding your location…',
+  'coverage.geo-error': "We couldn't get your location. Type your city or town instead.",
+  'coverage.not-found': 'We couldn\'t find "{query}". Try the nearest city or town.',
+  'coverage.nearest-to': 'Nearest coverage to {place}',
+  'coverage.nearest-you': 'Nearest coverage to your location',
+  'coverage.you': 'Your location',
+  'coverage.inside': 'inside the service area',
+  'coverage.outside': 'outside the service area',
+  'coverage.panel-hint': 'Pick a city on the map or search for yours to see services, response times and visit availability.',
+  'coverage.services': 'Services',
+  'coverage.service.videovigilancia': 'Video surveillance',
+  'coverage.service.automatizacion': 'Automation',
+  'coverage.service.cableado': 'Structured cabling',
+  'coverage.response': 'Response time',
+  'coverage.response-hours': 'Within {hours} hours',
+  'coverage.service-area': 'Service area',
+  'coverage.radius': '{km} km radius',
+  'coverage.next-visit': 'Next technical visit',
+  'coverage.no-visits': 'No openings in the coming weeks',
+  'coverage.book': 'Book a visit in this city',
+  'coverage.load-error': "We couldn't load our coverage cities. Write to us and we'll confirm service in your area.",
+
+  // FAQ
+  'faq.faq': 'FAQ',
+  'faq.answer-questions': 'We answer your <span class="text-accent">questions</span>',
+  'faq.search-label': 'Search the frequently asked questions',
+  'faq.search-placeholder': 'Search: price, warranty, phone…',
+  'faq.filter-label': 'Filter by category',
+  'faq.all': 'All',
+  'faq.results': '{count} questions found',
+  'faq.no-results': 'No question matches. Message us on WhatsApp and we will answer.',
+  'faq.link': 'Link to this question',
+  'faq.load-error': 'We could not load the frequently asked questions. Please try again later or message us on WhatsApp.',
+
+  // Call to action
+  'cta.ready-protect-business': 'Ready to protect your business?',
+  'cta.get-free-security-assessment': 'Get a free security assessment. Our experts will design the perfect solution for you.',
+  'cta.free-quote': 'Free Quote',
+  'cta.book-visit': 'Book a Visit',
+
+  // Visit booking
+  'booking.technical-visit': 'Technical Visit',
+  'booking.book-free-visit': 'Book your <span class="text-accent">Free Visit</span>',
+  'booking.choose-city-day-time': 'Choose a city, day and time. A certified technician will assess your site at no cost.',
+  'booking.city': 'City',
+  'booking.day': 'Day',
+  'booking.time-colombia-time': 'Time (Colombia time)',
+  'booking.full-name': 'Full name',
+  'booking.phone': 'Phone',
+  'booking.email': 'Email',
+  'booking.site-address': 'Site address',
+  'booking.request-visit': 'Request Visit',
+  'booking.no-slots': 'No visits available in the next few weeks for this city. Write to us and we will arrange a date.',
+  'booking.choose-day': 'Choose a day to see the times.',
+  'booking.your-time': '{time} your time',
+  'booking.colombia-time': 'Colombia time',
+  'booking.closed': 'Closed',
+  'booking.choose-slot': 'Choose a day and time for the visit.',
+  'booking.received': 'Request received! We will call you to confirm your visit.',
+  'booking.queued': 'Offline: your request is saved and will be sent automatically once the connection is back.',
+  'booking.rejected': 'We could not register your request. Check your details and try again, or message us on WhatsApp.',
+  'booking.add-calendar': 'Add to my calendar (.ics)',
+  'booking.load-error': 'We could not load the schedule. Message us on WhatsApp to book your visit.',
+  'booking.ics.summary': 'Technical visit – Sanlufer Seguridad',
+  'booking.ics.description': 'Free technical visit requested by {name}. We will call {phone} to confirm.',
+
+  // Contact
+  'contact.contact': 'Contact Us',
+  'contact.let-s-discuss-project': 'Let\'s discuss your <span class="text-accent">Project</span>',
+  'contact.tell-what-need-ll': 'Tell us what you need and we\'ll offer the best solution to protect your business.',
+  'contact.phone': 'Phone',
+  'contact.email': 'Email',
+  'contact.chat-now': 'Chat now',
+  'contact.location': 'Location',
+  'contact.hours': 'Hours',
+  'contact.mon-fri-8am-6pm': 'Mon-Fri: 8AM-6PM | Sat: 8AM-1PM',
+  'contact.full-name': 'Full name',
+  'contact.email-2': 'Email',
+  'contact.service-interest': 'Service of interest',
+  'contact.message': 'Message',
+  'contact.send-message': 'Send Message',
+  'contact.authorization': 'I authorise Sanlufer Seguridad SAS to process my personal data to answer this request, under the <a href="#" data-privacy>Data Processing Policy</a> (Law 1581 of 2012).',
+  'contact.sending': 'Sending...',
+  'contact.sent': 'Message Sent!',
+  'contact.queued-button': 'Queued, will send',
+  'contact.pending': { one: '{count} message queued. It will be sent automatically once you are back online.', other: '{count} messages queued. They will be sent automatically once you are back online.' },
+  'contact.queue-flushed': 'Your queued messages have been sent.',
+  'contact.queue-dropped': { one: '{count} queued message could not be sent and was removed from this browser. Please reach us on WhatsApp or by email.', other: '{count} queued messages could not be sent and were removed from this browser. Please reach us on WhatsApp or by email.' },
+  'contact.queued': 'We could not send your message right now. It is saved in this browser and will be sent automatically once the connection is back. Rather not wait? <a href="{mailto}">Send it by email</a>.',
+  'contact.rejected': 'We could not send your message: the server refused it. Check your details and try again, or <a href="{mailto}">send it by email</a>.',
+
+  // Quote builder
+  'quote.quick-estimate': 'Quick estimate',
+  'quote.how-many-devices-do': 'How many devices do you need?',
+  'quote.cameras': 'Cameras',
+  'quote.access-control-points': 'Access control points',
+  'quote.where-will-cameras-go': 'Where will the cameras go?',
+  'quote.indoor': 'Indoor',
+  'quote.outdoor': 'Outdoor',
+  'quote.indoor-outdoor': 'Indoor and outdoor',
+  'quote.how-many-days-recording': 'How many days of recording do you need to keep?',
+  'quote.recording-days': 'Recording days',
+  'quote.how-many-metres-cabling': 'How many metres of cabling do you estimate?',
+  'quote.cable-metres': 'Cable metres',
+  'quote.not-sure-leave-empty': 'Not sure? Leave it empty: we assume about 25 m per device.',
+  'quote.which-city-installation': 'In which city is the installation?',
+  'quote.city': 'City',
+  'quote.back': 'Back',
+  'quote.next': 'Next',
+  'quote.see-estimate': 'See estimate',
+  'quote.other-city': 'Other city',
+  'quote.range': 'Indicative range',
+  'quote.note': 'Indicative value before VAT, based on our {date} price list. The final quote follows a technical visit. These details are attached to your message below.',
+  'quote.line.cameras': 'Cameras',
+  'quote.line.recorder': 'Recorder (NVR)',
+  'quote.line.storage': 'Storage',
+  'quote.line.access': 'Access control',
+  'quote.line.cabling': 'Cabling',
+  'quote.line.travel': 'Travel',
+  'quote.env.interior': 'indoor',
+  'quote.env.exterior': 'outdoor',
+  'quote.env.mixto': 'indoor and outdoor',
+  'quote.detail.channels': { one: '{count} channel', other: '{count} channels' },
+  'quote.detail.days': { one: '{count} day', other: '{count} days' },
+  'quote.detail.points': { one: '{count} point', other: '{count} points' },
+  'quote.error.quantities': 'Enter whole numbers (up to 500 cameras and 100 access points).',
+  'quote.error.empty': 'Include at least one camera or access point.',
+  'quote.error.metres': 'Enter the metres as a whole number or leave the field empty.',
+  'quote.error.prices': 'We could not load the price list. Write to us and we will quote you directly.',
+
+  // Footer
+  'footer.reliable-comprehensive-protection-businesses': 'Reliable comprehensive protection for businesses across Colombia. Based in Medellín, Antioquia. National service: Bogotá, Cali, Armenia and more. 15+ years of experience.',
+  'footer.services': 'Services',
+  'footer.video-surveillance': 'Video Surveillance',
+  'footer.automation': 'Automation',
+  'footer.structured-cabling': 'Structured Cabling',
+  'footer.company': 'Company',
+  'footer.about': 'About',
+  'footer.brands': 'Brands',
+  'footer.contact': 'Contact',
+  'footer.medellin-antioquia-colombia': 'Medellín, Antioquia - Colombia',
+  'footer.mon-fri-8am-6pm': 'Mon-Fri: 8AM-6PM | Sat: 8AM-1PM',
+  'footer.all-rights-reserved': 'All rights reserved.',
+  'footer.privacy-policy': 'Privacy Policy',
+  'footer.cookie-settings': 'Cookie settings',
+  'footer.chat': 'Chat with us!',
+
+  // Privacy policy
+  'privacy.privacy-policy-data-processing': 'Privacy Policy & Data Processing',
+  'privacy.data-controller': 'Data Controller',
+  'privacy.sanlufer-seguridad-sas-based': 'Sanlufer Seguridad SAS, based in Medellín, Antioquia, Colombia. Email: ernesto.diaz@sanluferseguridad.com. Phone: +57 320 631 2166.',
+  'privacy.data-collected': 'Data Collected',
+  'privacy.collect-name-email-phone': 'We collect name, email, phone and message through the contact form, solely to respond to your quote or information request.',
+  'privacy.purpose': 'Purpose',
+  'privacy.data-will-used-exclusively': 'Your data will be used exclusively to: contact you regarding our services, send requested quotes and provide technical support.',
+  'privacy.data-subject-rights-law': 'Data Subject Rights (Law 1581 of 2012)',
+  'privacy.have-right-access-update': 'You have the right to access, update, rectify and delete your personal data, and to withdraw your authorisation. To exercise these rights, use the form or write to ernesto.diaz@sanluferseguridad.com.',
+  'privacy.local-storage': 'Local Storage',
+  'privacy.site-uses-browser-local': 'This site uses browser local storage (localStorage) for your cookie choice and forms waiting to be sent and, only with your permission, to remember your language, visual theme and animation preference and to record anonymous usage events. You can change your choice under “Cookie settings” at the bottom of the page.',
+  'privacy.exercise-rights': 'Exercise my rights',
+  'privacy.rights-email': 'Email on record',
+  'privacy.rights-request': 'What you are requesting',
+  'privacy.rights-details': 'Details (optional)',
+  'privacy.rights-send': 'Send request',
+  'privacy.rights-sent': 'We received your request. We will reply to the email you gave within 10 business days (enquiries) or 15 business days (claims).',
+  'privacy.rights-queued': 'We could not send your request right now. It is saved in this browser and will be sent automatically once you are back online.',
+  'privacy.rights-rejected': 'We could not send your request. Check your details and try again, or write to ernesto.diaz@sanluferseguridad.com.',
+  'privacy.version': 'Policy version:',
+
+  // Cookie consent
+  'cookies.site-uses-local-storage': 'This site uses local storage to work and, if you allow it, to remember your preferences, learn which content helps you and for marketing. You can choose by category and change your mind at any time. More in our <a href="#" data-privacy>Privacy Policy</a>.',
+  'cookies.decline': 'Decline',
+  'cookies.customize': 'Customize',
+  'cookies.accept': 'Accept all',
+  'cookies.settings-title': 'Cookie settings',
+  'cookies.settings-intro': 'Choose what this site may store in your browser. Optional categories stay off until you allow them, and you can withdraw your permission at any time.',
+  'cookies.category.necessary': 'Necessary',
+  'cookies.category.necessary-desc': 'Always on: your cookie choice, forms waiting to be sent and spam protection.',
+  'cookies.category.preferences': 'Preferences',
+  'cookies.category.preferences-desc': 'Remember the language, visual theme and animation preference you chose.',
+  'cookies.category.analytics': 'Analytics',
+  'cookies.category.analytics-desc': 'Anonymous events (sections viewed, use of the assessment and the forms) to learn which content is useful. No identifiers or contact details.',
+  'cookies.category.marketing': 'Marketing',
+  'cookies.category.marketing-desc': 'Measure advertising campaigns on other platforms.',
+  'cookies.reject-optional': 'Reject optional',
+  'cookies.save': 'Save choices',
+  'cookies.record': 'Cookie policy {version} · choice saved on {date}.',
+  'cookies.no-record': 'Cookie policy {version} · no choice saved yet.',
+
+  // WhatsApp messages
+  'whatsapp.message': 'Hello Sanlufer Seguridad 👋\n\nI saw your website and I\'m interested in receiving a professional quote for my business.\n\nServices of interest:\n✅ AI Video Surveillance\n✅ Building Automation\n✅ Structured Cabling\n\nCould you schedule a free technical visit? Thank you!',
+  'whatsapp.quiz-intro': 'Hello Sanlufer Seguridad 👋\n\nI took the security assessment on your website and I\'d like a professional quote.\n\n',
+  'whatsapp.quiz-outro': '\n\nCould you schedule a free technical visit? Thank you!',
+
+  // Anti-spam
+  'spam.honeypot': 'We could not verify this was sent by a person. Please reach us by WhatsApp or email.',
+  'spam.too-fast': 'The form was sent too quickly. Check your details and try again in a few seconds.',
+  'spam.rate-limit': 'You have sent several messages in a row. You can send another in {minutes} min, or reach us on WhatsApp.',
+  'spam.duplicate': 'We already received this exact message. We will reply soon; there is no need to send it again.',
+  'spam.links': 'Your message contains too many links or HTML code. Remove them and describe your project in plain text.',
+
+  // Form validation
+  'validation.required': 'This field is required.',
+  'validation.min-length': 'Must be at least {n} characters long.',
+  'validation.max-length': 'Maximum {n} characters.',
+  'validation.name': 'The name may only contain letters.',
+  'validation.email': 'Enter a valid email, e.g. name@company.com.',
+  'validation.phone': 'Enter a Colombian mobile (3xx xxx xxxx) or landline (60x xxx xxxx).',
+  'validation.authorization': 'We need your authorisation to process your data and reply to you.',
+
+  // Offline support
+  'pwa.update-available': 'A new version of the site is available.',
+  'pwa.reload': 'Update',
+  'pwa.later': 'Later',
+});
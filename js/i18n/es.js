@@ -0,0 +1,473 @@
+/**
+ * Spanish messages (default language, also written into index.html)
+ */
+registerMessages('es', {
+  // Page metadata (title, meta tags, structured data)
+  'meta.title': 'Sanlufer Seguridad | Cámaras de Seguridad y Videovigilancia Colombia',
+  'meta.description': 'Sanlufer Seguridad: empresa líder en cámaras de seguridad y videovigilancia con IA en toda Colombia. Sede en Medellín con servicio en Bogotá, Cali, Armenia, Pereira, Barranquilla, Cartagena, Bucaramanga y Pasto. +15 años, +150 clientes. Hikvision, Dahua, Axis. Cotización gratis.',
+  'meta.og-title': 'Sanlufer Seguridad | Cámaras de Seguridad y Videovigilancia en toda Colombia',
+  'meta.og-description': 'Expertos en videovigilancia con IA, automatización y cableado estructurado. Sede en Medellín. Servicio nacional: Bogotá, Cali, Armenia, Pereira, Barranquilla, Cartagena, Bucaramanga. +15 años. Cotización gratis.',
+  'meta.og-image-alt': 'Sanlufer Seguridad - Cámaras de seguridad y videovigilancia en Colombia',
+  'meta.twitter-title': 'Sanlufer Seguridad | Cámaras de Seguridad Colombia',
+  'meta.twitter-description': 'Videovigilancia con IA, automatización y cableado estructurado en toda Colombia. Sede Medellín. Bogotá, Cali, Armenia y más. +15 años, +150 clientes.',
+  'schema.business-description': 'Empresa líder en seguridad electrónica en Colombia con sede en Medellín, Antioquia. Más de 15 años de experiencia en videovigilancia con IA, automatización de edificios y cableado estructurado certificado. Servicio nacional: Bogotá, Cali, Armenia, Pereira, Barranquilla, Cartagena, Bucaramanga, Pasto y toda Colombia.',
+  'schema.catalog': 'Servicios de Seguridad Electrónica',
+  'schema.video-surveillance': 'Videovigilancia Inteligente Colombia',
+  'schema.video-surveillance-description': 'Cámaras IP, CCTV, analítica de video con IA, monitoreo remoto 24/7 en Medellín, Bogotá, Cali, Armenia y toda Colombia',
+  'schema.automation': 'Automatización de Edificios Colombia',
+  'schema.automation-description': 'Control de acceso biométrico, edificios inteligentes, domótica en Bogotá, Medellín, Cali, Barranquilla y toda Colombia',
+  'schema.cabling': 'Cableado Estructurado Certificado Colombia',
+  'schema.cabling-description': 'Redes certificadas, fibra óptica, conectividad empresarial. Cobertura nacional en todas las ciudades principales de Colombia',
+
+  // Emergency bar
+  'emergency.need-urgent-security-call': '<strong>¿Necesita seguridad urgente?</strong> Llámenos ahora',
+
+  // Navigation
+  'nav.home': 'Inicio',
+  'nav.services': 'Servicios',
+  'nav.about': 'Nosotros',
+  'nav.brands': 'Marcas',
+  'nav.contact': 'Contacto',
+  'nav.quote': 'Cotizar',
+  'nav.language': 'Cambiar idioma',
+  'theme.button': 'Tema: {current}. Cambiar a {next}',
+  'theme.system-now': 'sistema ({theme})',
+  'theme.name.system': 'sistema',
+  'theme.name.light': 'claro',
+  'theme.name.dark': 'oscuro',
+  'motion.button': 'Reducir animaciones',
+
+  // Hero
+  'hero.colombia-nationwide-electronic-security': 'Colombia &mdash; Cobertura Nacional en Seguridad Electrónica',
+  'hero.intelligent-security': 'Seguridad Inteligente',
+  'hero.experts-video-surveillance-automation': 'Expertos en videovigilancia, automatización y cableado estructurado en toda Colombia. Sede en Medellín con servicio en Bogotá, Cali, Armenia y más. +15 años protegiendo empresas.',
+  'hero.request-quote': 'Solicitar Cotización',
+  'hero.services': 'Conocer Servicios',
+  'hero.scroll': 'Deslizar',
+  'hero.typing': [
+    'para su Empresa',
+    'con Videovigilancia IA',
+    'en toda Colombia',
+    'desde Medellín',
+    'en Bogotá y Cali',
+    'en Barranquilla y Cartagena',
+    'Automatización Total',
+    'Cableado Certificado',
+    '24/7 Soporte Técnico',
+    'en Bucaramanga y Pasto',
+    'en Pereira y el Eje Cafetero',
+  ],
+
+  // Pillars
+  'pillars.pillars': 'Nuestros Pilares',
+  'pillars.security': 'Seguridad',
+  'pillars.cameras-alarms-biometric-access': 'Cámaras, alarmas, acceso biométrico y detección perimetral con tecnología de vanguardia.',
+  'pillars.automation': 'Automatización',
+  'pillars.home-automation-smart-buildings': 'Domótica, edificios inteligentes, control de iluminación, clima y persianas automatizadas.',
+  'pillars.infrastructure': 'Infraestructura',
+  'pillars.structured-cabling-fiber-optics': 'Cableado estructurado, fibra óptica y redes certificadas para conectividad empresarial.',
+
+  // Services
+  'services.services': 'Nuestros Servicios',
+  'services.solutions-protect': 'Soluciones que <span class="text-accent">Protegen</span>',
+  'services.offer-comprehensive-electronic-security': 'Ofrecemos soluciones integrales de seguridad electrónica, automatización e infraestructura de redes adaptadas a cada necesidad empresarial.',
+  'services.intelligent-video-surveillance': 'Videovigilancia Inteligente',
+  'services.more-than-cameras-strategic': 'Más que cámaras: visión estratégica para su seguridad con analítica de video avanzada e inteligencia artificial.',
+  'services.hd-ip-cameras-night': 'Cámaras IP HD con visión nocturna y ColorVu',
+  'services.ai-analytics-intrusion-detection': 'Analítica IA: detección de intrusión, conteo, LPR',
+  'services.vms-software-hikcentral-milestone': 'Software VMS: HikCentral, Milestone, Avigilon',
+  'services.24-7-remote-monitoring': 'Monitoreo remoto 24/7 vía app o centro de control',
+  'services.request-information': 'Solicitar información',
+  'services.building-automation': 'Automatización de Edificios',
+  'services.transform-spaces-into-intelligent': 'Transformamos espacios en entornos inteligentes con control integral de acceso, seguridad y confort.',
+  'services.access-control-facial-recognition': 'Control de acceso: reconocimiento facial y QR',
+  'services.amenities-management-capacity-control': 'Gestión de amenidades y control de aforo',
+  'services.iot-sensors-real-time': 'Sensores IoT y alertas digitales en tiempo real',
+  'services.full-home-automation-integration': 'Integración domótica completa',
+  'services.structured-cabling': 'Cableado Estructurado',
+  'services.network-untangled-professional-design': 'Su red, sin enredos. Diseño e instalación profesional de redes certificadas con fibra óptica.',
+  'services.professional-voice-data-network': 'Instalación profesional de redes de voz y datos',
+  'services.fiber-optics-high-speed': 'Fibra óptica y conectividad de alta velocidad',
+  'services.scalable-infrastructure-new-technologies': 'Infraestructura escalable para nuevas tecnologías',
+  'services.preventive-maintenance-agile-tech': 'Mantenimiento preventivo y soporte técnico ágil',
+
+  // Statistics
+  'stats.statistics': 'Estadísticas',
+  'stats.happy-clients': 'Clientes Satisfechos',
+  'stats.years-experience': 'Años de Experiencia',
+  'stats.projects-completed': 'Proyectos Realizados',
+  'stats.tech-support': 'Soporte Técnico',
+
+  // Crime counter
+  'urgency.crime-statistics': 'Estadísticas de Criminalidad',
+  'urgency.don-t-become-statistic': 'No sea parte de esta estadística. Proteja su negocio hoy.',
+  'urgency.protect-my-business': 'Proteger mi negocio',
+  'urgency.thefts-per-minute': 'En Colombia se registran más de <strong class="urgency-counter__number" id="crimeCounter">{count}</strong> hurtos por minuto',
+
+  // About & dashboard demo
+  'about.why-choose': 'Por Qué Elegirnos',
+  'about.over-15-years': 'Más de <span class="text-accent">15 años</span> protegiendo lo que más importa',
+  'about.don-t-just-install': 'No solo instalamos cámaras — diseñamos ecosistemas de seguridad inteligente. Combinamos analítica de video con IA, automatización y redes certificadas para crear una protección que evoluciona con su negocio.',
+  'about.cutting-edge-technology': 'Tecnología de Punta',
+  'about.hikvision-dahua-axis-avigilon': 'Hikvision, Dahua, Axis, Avigilon — trabajamos con las marcas líderes mundiales.',
+  'about.24-7-monitoring': 'Monitoreo 24/7',
+  'about.uninterrupted-surveillance-ai-immediate': 'Vigilancia ininterrumpida con IA y respuesta inmediata ante cualquier incidente.',
+  'about.tailored-solutions': 'Soluciones a Medida',
+  'about.each-project-designed-based': 'Cada proyecto se diseña según su infraestructura, riesgos y presupuesto.',
+  'about.certified-technicians': 'Técnicos Certificados',
+  'about.staff-trained-manufacturers-up': 'Personal capacitado por fabricantes con certificaciones actualizadas.',
+  'about.ai-active': 'IA Activa',
+  'about.entrance': 'Entrada',
+  'about.lobby': 'Recepción',
+  'about.perimeter': 'Perímetro',
+  'about.parking': 'Parqueadero',
+  'about.protection': 'Protección',
+  'about.network-active': 'Red Activa',
+  'about.cameras-online': 'Cámaras Online',
+  'about.access-ctrl': 'Accesos',
+  'about.alerts-today': 'Alertas Hoy',
+  'about.last-ai-scan': 'Último análisis IA:',
+  'about.threats-detected': 'amenazas detectadas',
+  'dashboard.events': 'Eventos',
+  'dashboard.waiting': 'Esperando eventos…',
+  'dashboard.hint': 'Clic en una cámara para ampliarla · flechas para cambiar · Esc para volver',
+  'dashboard.event.person': 'Persona detectada',
+  'dashboard.event.line': 'Cruce de línea en {zone}',
+  'dashboard.event.lpr': 'Placa leída: {plate}',
+  'dashboard.event.lpr-watchlist': 'Placa en lista de alerta: {plate}',
+
+  // Process
+  'process.how-work': 'Cómo Trabajamos',
+  'process.simple-effective': 'Un proceso <span class="text-accent">simple y efectivo</span>',
+  'process.consultation': 'Consulta',
+  'process.evaluate-security-needs-free': 'Evaluamos sus necesidades de seguridad con una visita técnica sin costo. Analizamos su infraestructura y riesgos.',
+  'process.design': 'Diseño',
+  'process.create-customized-proposal-technical': 'Creamos una propuesta personalizada con planos técnicos, las mejores soluciones y presupuesto transparente.',
+  'process.installation': 'Instalación',
+  'process.certified-technicians-install-configure': 'Técnicos certificados instalan, configuran y prueban cada componente con mínima interrupción a su operación.',
+  'process.support': 'Soporte',
+  'process.24-7-technical-support': 'Soporte técnico 24/7, mantenimiento preventivo y actualizaciones para protección continua.',
+
+  // Security assessment quiz
+  'quiz.free-tool': 'Herramienta Gratuita',
+  'quiz.evaluate-security': 'Evalúa tu nivel de <span class="text-accent">Seguridad</span>',
+  'quiz.answer-4-quick-questions': 'Responda 4 preguntas rápidas y descubra qué tan protegido está su negocio.',
+  'quiz.back': 'Atrás',
+  'quiz.what-type-property-do': '¿Qué tipo de propiedad desea proteger?',
+  'quiz.house-apartment': 'Casa / Apartamento',
+  'quiz.office-retail': 'Oficina / Comercio',
+  'quiz.building-condo': 'Edificio / Condominio',
+  'quiz.warehouse-industry': 'Bodega / Industria',
+  'quiz.what-level-security-do': '¿Qué nivel de seguridad tiene actualmente?',
+  'quiz.no-security': 'Sin seguridad',
+  'quiz.locks-padlocks': 'Cerraduras y candados',
+  'quiz.basic-cameras-alarm': 'Cámaras básicas / alarma',
+  'quiz.professional-system': 'Sistema profesional',
+  'quiz.what-main-concern': '¿Cuál es su principal preocupación?',
+  'quiz.theft-vandalism': 'Robo y vandalismo',
+  'quiz.access-control': 'Control de acceso',
+  'quiz.24-7-remote-monitoring': 'Monitoreo remoto 24/7',
+  'quiz.comprehensive-security': 'Seguridad integral',
+  'quiz.when-do-need-implement': '¿Cuándo necesita implementar la solución?',
+  'quiz.soon-possible': 'Lo antes posible',
+  'quiz.month': 'Este mes',
+  'quiz.within-3-months': 'En los próximos 3 meses',
+  'quiz.just-exploring-options': 'Solo explorando opciones',
+  'quiz.review-answers': 'Revise sus respuestas',
+  'quiz.see-my-result': 'Ver mi resultado',
+  'quiz.request-free-professional-assessment': 'Solicitar evaluación profesional gratis',
+  'quiz.download-report': 'Descargar informe',
+  'quiz.evaluate-again': 'Evaluar de nuevo',
+  'quiz.aria': 'Evaluación de Seguridad',
+  'quiz.step-of': 'Paso {step} de {total}',
+  'quiz.change': 'Cambiar',
+  'quiz.recommended': 'Recomendado para usted',
+  'quiz.driver': 'Factor determinante: {driver} (−{points} puntos)',
+  'quiz.summary.result': 'Resultado de la evaluación de seguridad: {score}/100 — {level}',
+  'quiz.summary.driver': 'Factor determinante: {driver}',
+  'quiz.summary.services': 'Servicios recomendados: {services}',
+  'quiz.summary.tier': 'Nivel de equipos: {tier}',
+  'quiz.report.title': 'Evaluación de Seguridad',
+  'quiz.report.dated': 'Evaluación de Seguridad — {date}',
+  'quiz.report.print': 'Imprimir / guardar PDF',
+  'quiz.report.result': 'Resultado',
+  'quiz.report.answers': 'Sus respuestas',
+  'quiz.report.recommendation': 'Recomendación',
+  'quiz.report.contact': 'Contacto',
+  'quiz.report.disclaimer': 'Resultado indicativo. Una visita técnica gratuita confirma el diseño y el presupuesto.',
+
+  // Testimonials
+  'testimonials.testimonials': 'Testimonios',
+  'testimonials.what-clients-say': 'Lo que dicen <span class="text-accent">nuestros clientes</span>',
+  'testimonials.filter-label': 'Filtrar por sector',
+  'testimonials.all': 'Todos',
+  'testimonials.carousel': 'Opiniones de clientes',
+  'testimonials.carousel-role': 'carrusel',
+  'testimonials.slide-role': 'testimonio',
+  'testimonials.slide': '{n} de {total}',
+  'testimonials.pause': 'Pausar testimonios',
+  'testimonials.play': 'Reanudar testimonios',
+  'testimonials.previous': 'Testimonio anterior',
+  'testimonials.next': 'Testimonio siguiente',
+  'testimonials.goto': 'Ver testimonio {n}',
+  'testimonials.stars': '{rating} de 5 estrellas',
+  'testimonials.summary': 'Calificación promedio de {rating} sobre 5 en {count} opiniones.',
+  'testimonials.load-error': 'No pudimos cargar las opiniones de nuestros clientes. Intente de nuevo más tarde.',
+
+  // Brands
+  'brands.brands': 'Nuestras Marcas',
+  'brands.work-best-brands': 'Trabajamos con las <span class="text-accent">Mejores Marcas</span>',
+  'brands.carousel': 'Carrusel de marcas asociadas',
+  'brands.pause': 'Pausar carrusel',
+  'brands.play': 'Reanudar carrusel',
+  'brands.hint': 'Seleccione una marca para ver las líneas de producto que instalamos y los servicios relacionados.',
+  'brands.close': 'Cerrar catálogo',
+  'brands.families': 'Líneas de producto que instalamos',
+  'brands.certifications': 'Certificaciones de nuestros técnicos',
+  'brands.services': 'Servicios relacionados',
+  'brands.website': 'Sitio oficial de {brand}',
+
+  // Trust badges
+  'trust.full-warranty': 'Garantía Total',
+  'trust.equipment-labor': 'Equipos y mano de obra',
+  'trust.data-protected': 'Datos Protegidos',
+  'trust.end-end-encryption': 'Encriptación de punta a punta',
+  'trust.certified-technicians': 'Técnicos Certificados',
+  'trust.official-manufacturers': 'Por fabricantes oficiales',
+  'trust.national-coverage': 'Cobertura Nacional',
+  'trust.all-colombia': 'Toda Colombia',
+  'trust.free-consultation': 'Consulta Gratis',
+  'trust.no-cost-site-visit': 'Visita técnica sin costo',
+
+  // Coverage
+  'coverage.national-coverage': 'Cobertura Nacional',
+  'coverage.service-across-all-colombia': 'Servicio en toda <span class="text-accent">Colombia</span>',
+  'coverage.based-medellin-antioquia-bring': 'Con sede en Medellín, Antioquia, llevamos soluciones de seguridad electrónica profesional a las principales ciudades del país.',
+  'coverage.headquarters-medellin-antioquia': 'Sede principal — Medellín, Antioquia',
+  'coverage.central': 'Centro',
+  'coverage.coffee-region': 'Eje Cafetero',
+  'coverage.caribbean-coast': 'Costa Caribe',
+  'coverage.south': 'Sur',
+  'coverage.hq': 'Sede Principal',
+  'coverage.map-label': 'Mapa de cobertura nacional de Sanlufer Seguridad en Colombia',
+  'coverage.city-list': 'Ciudades con cobertura',
+  'coverage.finder-title': 'Encuentre su cobertura más cercana',
+  'coverage.finder-label': 'Su ciudad o municipio',
+  'coverage.finder-placeholder': 'Ej.: Envigado',
+  'coverage.search': 'Buscar',
+  'coverage.use-location': 'Usar mi ubicación',
+  'coverage.locating': 'Buscando su ubicación…',
+  'coverage.geo-error': 'No pudimos obtener su ubicación. Escriba su ciudad o municipio.',
+  'coverage.not-found': 'No encontramos "{query}". Pruebe con la ciudad o el municipio más cercano.',
+  'coverage.nearest-to': 'Cobertura más cercana a {place}',
+  'coverage.nearest-you': 'Cobertura más cercana a su ubicación',
+  'coverage.you': 'Su ubicación',
+  'coverage.inside': 'dentro del área de servicio',
+  'coverage.outside': 'fuera del área de servicio',
+  'coverage.panel-hint': 'Seleccione una ciudad en el mapa o busque la suya para ver servicios, tiempos de respuesta y disponibilidad de visitas.',
+  'coverage.services': 'Servicios',
+  'coverage.service.videovigilancia': 'Videovigilancia',
+  'coverage.service.automatizacion': 'Automatización',
+  'coverage.service.cableado': 'Cableado estructurado',
+  'coverage.response': 'Tiempo de respuesta',
+  'coverage.response-hours': 'Hasta {hours} horas',
+  'coverage.service-area': 'Área de servicio',
+  'coverage.radius': '{km} km a la redonda',
+  'coverage.next-visit': 'Próxima visita técnica',
+  'coverage.no-visits': 'Sin cupos en las próximas semanas',
+  'coverage.book': 'Agendar visita en esta ciudad',
+  'coverage.load-error': 'No pudimos cargar las ciudades de cobertura. Escríbanos y le confirmamos el servicio en su zona.',
+
+  // FAQ
+  'faq.faq': 'Preguntas Frecuentes',
+  'faq.answer-questions': 'Resolvemos sus <span class="text-accent">dudas</span>',
+  'faq.search-label': 'Buscar en las preguntas frecuentes',
+  'faq.search-placeholder': 'Buscar: precio, garantía, celular…',
+  'faq.filter-label': 'Filtrar por categoría',
+  'faq.all': 'Todas',
+  'faq.results': '{count} preguntas encontradas',
+  'faq.no-results': 'Ninguna pregunta coincide. Escríbanos por WhatsApp y le respondemos.',
+  'faq.link': 'Enlace a esta pregunta',
+  'faq.load-error': 'No pudimos cargar las preguntas frecuentes. Intente de nuevo más tarde o escríbanos por WhatsApp.',
+
+  // Call to action
+  'cta.ready-protect-business': '¿Listo para proteger su empresa?',
+  'cta.get-free-security-assessment': 'Obtenga una evaluación de seguridad gratuita. Nuestros expertos diseñarán la solución perfecta para usted.',
+  'cta.free-quote': 'Cotización Gratis',
+  'cta.book-visit': 'Agendar Visita',
+
+  // Visit booking
+  'booking.technical-visit': 'Visita Técnica',
+  'booking.book-free-visit': 'Agende su <span class="text-accent">Visita Gratuita</span>',
+  'booking.choose-city-day-time': 'Elija ciudad, día y hora. Un técnico certificado evaluará su sitio sin costo.',
+  'booking.city': 'Ciudad',
+  'booking.day': 'Día',
+  'booking.time-colombia-time': 'Hora (hora de Colombia)',
+  'booking.full-name': 'Nombre completo',
+  'booking.phone': 'Teléfono',
+  'booking.email': 'Correo electrónico',
+  'booking.site-address': 'Dirección del sitio',
+  'booking.request-visit': 'Solicitar Visita',
+  'booking.no-slots': 'No hay visitas disponibles en las próximas semanas para esta ciudad. Escríbanos y acordamos una fecha.',
+  'booking.choose-day': 'Elija un día para ver los horarios.',
+  'booking.your-time': '{time} su hora',
+  'booking.colombia-time': 'hora de Colombia',
+  'booking.closed': 'Cerrado',
+  'booking.choose-slot': 'Elija un día y una hora para la visita.',
+  'booking.received': '¡Solicitud recibida! Le llamaremos para confirmar su visita.',
+  'booking.queued': 'Sin conexión: su solicitud quedó guardada y se enviará automáticamente al recuperar la conexión.',
+  'booking.rejected': 'No pudimos registrar su solicitud. Revise los datos e inténtelo de nuevo, o escríbanos por WhatsApp.',
+  'booking.add-calendar': 'Agregar a mi calendario (.ics)',
+  'booking.load-error': 'No pudimos cargar la agenda. Escríbanos por WhatsApp para agendar su visita.',
+  'booking.ics.summary': 'Visita técnica – Sanlufer Seguridad',
+  'booking.ics.description': 'Visita técnica gratuita solicitada por {name}. Le llamaremos al {phone} para confirmar.',
+
+  // Contact
+  'contact.contact': 'Contáctenos',
+  'contact.let-s-discuss-project': 'Hablemos de su <span class="text-accent">Proyecto</span>',
+  'contact.tell-what-need-ll': 'Cuéntenos qué necesita y le ofreceremos la mejor solución para proteger su empresa.',
+  'contact.phone': 'Teléfono',
+  'contact.email': 'Correo',
+  'contact.chat-now': 'Chatear ahora',
+  'contact.location': 'Ubicación',
+  'contact.hours': 'Horario',
+  'contact.mon-fri-8am-6pm': 'Lun-Vie: 8AM-6PM | Sáb: 8AM-1PM',
+  'contact.full-name': 'Nombre completo',
+  'contact.email-2': 'Correo electrónico',
+  'contact.service-interest': 'Servicio de interés',
+  'contact.message': 'Mensaje',
+  'contact.send-message': 'Enviar Mensaje',
+  'contact.authorization': 'Autorizo a Sanlufer Seguridad SAS a tratar mis datos personales para responder esta solicitud, según la <a href="#" data-privacy>Política de Tratamiento de Datos</a> (Ley 1581 de 2012).',
+  'contact.sending': 'Enviando...',
+  'contact.sent': '¡Mensaje Enviado!',
+  'contact.queued-button': 'En cola, se enviará',
+  'contact.pending': { one: '{count} mensaje en cola. Se enviará automáticamente al recuperar la conexión.', other: '{count} mensajes en cola. Se enviarán automáticamente al recuperar la conexión.' },
+  'contact.queue-flushed': 'Sus mensajes en cola fueron enviados.',
+  'contact.queue-dropped': { one: '{count} mensaje en cola no se pudo enviar y se borró de este navegador. Escríbanos por WhatsApp o por correo.', other: '{count} mensajes en cola no se pudieron enviar y se borraron de este navegador. Escríbanos por WhatsApp o por correo.' },
+  'contact.queued': 'No pudimos enviar su mensaje ahora. Quedó guardado en este navegador y se enviará automáticamente al recuperar la conexión. ¿Prefiere no esperar? <a href="{mailto}">Envíelo por correo</a>.',
+  'contact.rejected': 'No pudimos enviar su mensaje: el servidor lo rechazó. Revise los datos e inténtelo de nuevo, o <a href="{mailto}">envíelo por correo</a>.',
+
+  // Quote builder
+  'quote.quick-estimate': 'Cotizador rápido',
+  'quote.how-many-devices-do': '¿Cuántos equipos necesita?',
+  'quote.cameras': 'Cámaras',
+  'quote.access-control-points': 'Puntos de control de acceso',
+  'quote.where-will-cameras-go': '¿Dónde irán las cámaras?',
+  'quote.indoor': 'Interior',
+  'quote.outdoor': 'Exterior',
+  'quote.indoor-outdoor': 'Interior y exterior',
+  'quote.how-many-days-recording': '¿Cuántos días de grabación necesita conservar?',
+  'quote.recording-days': 'Días de grabación',
+  'quote.how-many-metres-cabling': '¿Cuántos metros de cableado estima?',
+  'quote.cable-metres': 'Metros de cable',
+  'quote.not-sure-leave-empty': 'Si no lo sabe, déjelo vacío: calculamos unos 25 m por equipo.',
+  'quote.which-city-installation': '¿En qué ciudad es la instalación?',
+  'quote.city': 'Ciudad',
+  'quote.back': 'Atrás',
+  'quote.next': 'Siguiente',
+  'quote.see-estimate': 'Ver estimado',
+  'quote.other-city': 'Otra ciudad',
+  'quote.range': 'Rango indicativo',
+  'quote.note': 'Valor indicativo antes de IVA, según nuestra lista de precios del {date}. La cotización final se entrega tras la visita técnica. Este detalle se adjunta a su mensaje abajo.',
+  'quote.line.cameras': 'Cámaras',
+  'quote.line.recorder': 'Grabador (NVR)',
+  'quote.line.storage': 'Almacenamiento',
+  'quote.line.access': 'Control de acceso',
+  'quote.line.cabling': 'Cableado',
+  'quote.line.travel': 'Desplazamiento',
+  'quote.env.interior': 'interior',
+  'quote.env.exterior': 'exterior',
+  'quote.env.mixto': 'interior y exterior',
+  'quote.detail.channels': { one: '{count} canal', other: '{count} canales' },
+  'quote.detail.days': { one: '{count} día', other: '{count} días' },
+  'quote.detail.points': { one: '{count} punto', other: '{count} puntos' },
+  'quote.error.quantities': 'Ingrese cantidades enteras (máximo 500 cámaras y 100 puntos de acceso).',
+  'quote.error.empty': 'Incluya al menos una cámara o un punto de acceso.',
+  'quote.error.metres': 'Ingrese los metros como un número entero o deje el campo vacío.',
+  'quote.error.prices': 'No pudimos cargar la lista de precios. Escríbanos y le cotizamos directamente.',
+
+  // Footer
+  'footer.reliable-comprehensive-protection-businesses': 'Protección integral confiable para empresas en toda Colombia. Sede en Medellín, Antioquia. Servicio nacional: Bogotá, Cali, Armenia y más. +15 años de experiencia.',
+  'footer.services': 'Servicios',
+  'footer.video-surveillance': 'Videovigilancia',
+  'footer.automation': 'Automatización',
+  'footer.structured-cabling': 'Cableado Estructurado',
+  'footer.company': 'Empresa',
+  'footer.about': 'Nosotros',
+  'footer.brands': 'Marcas',
+  'footer.contact': 'Contacto',
+  'footer.medellin-antioquia-colombia': 'Medellín, Antioquia - Colombia',
+  'footer.mon-fri-8am-6pm': 'Lun-Vie: 8AM-6PM | Sáb: 8AM-1PM',
+  'footer.all-rights-reserved': 'Todos los derechos reservados.',
+  'footer.privacy-policy': 'Política de Privacidad',
+  'footer.cookie-settings': 'Configuración de cookies',
+  'footer.chat': '¡Chatea con nosotros!',
+
+  // Privacy policy
+  'privacy.privacy-policy-data-processing': 'Política de Privacidad y Tratamiento de Datos',
+  'privacy.data-controller': 'Responsable del Tratamiento',
+  'privacy.sanlufer-seguridad-sas-based': 'Sanlufer Seguridad SAS, con sede en Medellín, Antioquia, Colombia. Correo: ernesto.diaz@sanluferseguridad.com. Teléfono: +57 320 631 2166.',
+  'privacy.data-collected': 'Datos Recopilados',
+  'privacy.collect-name-email-phone': 'Recopilamos nombre, correo electrónico, teléfono y mensaje a través del formulario de contacto, únicamente para responder a su solicitud de cotización o información.',
+  'privacy.purpose': 'Finalidad',
+  'privacy.data-will-used-exclusively': 'Sus datos serán utilizados exclusivamente para: contactarlo respecto a nuestros servicios, enviar cotizaciones solicitadas y brindar soporte técnico.',
+  'privacy.data-subject-rights-law': 'Derechos del Titular (Ley 1581 de 2012)',
+  'privacy.have-right-access-update': 'Usted tiene derecho a conocer, actualizar, rectificar y suprimir sus datos personales, y a revocar la autorización. Para ejercer estos derechos, use el formulario o escriba a ernesto.diaz@sanluferseguridad.com.',
+  'privacy.local-storage': 'Almacenamiento Local',
+  'privacy.site-uses-browser-local': 'Este sitio utiliza almacenamiento local del navegador (localStorage) para su decisión sobre cookies y los formularios pendientes de envío y, solo con su autorización, para recordar su idioma, tema visual y preferencia de animaciones y registrar eventos anónimos de uso. Puede cambiar su elección en «Configuración de cookies», al pie de la página.',
+  'privacy.exercise-rights': 'Ejercer mis derechos',
+  'privacy.rights-email': 'Correo registrado',
+  'privacy.rights-request': 'Qué solicita',
+  'privacy.rights-details': 'Detalles (opcional)',
+  'privacy.rights-send': 'Enviar solicitud',
+  'privacy.rights-sent': 'Recibimos su solicitud. Le responderemos al correo indicado en máximo 10 días hábiles (consultas) o 15 días hábiles (reclamos).',
+  'privacy.rights-queued': 'No pudimos enviar su solicitud ahora. Quedó guardada en este navegador y se enviará automáticamente al recuperar la conexión.',
+  'privacy.rights-rejected': 'No pudimos enviar su solicitud. Revise los datos e inténtelo de nuevo, o escriba a ernesto.diaz@sanluferseguridad.com.',
+  'privacy.version': 'Versión de la política:',
+
+  // Cookie consent
+  'cookies.site-uses-local-storage': 'Este sitio usa almacenamiento local para funcionar y, si usted lo permite, para recordar sus preferencias, medir qué contenidos le sirven y marketing. Puede elegir por categoría y cambiar su decisión cuando quiera. Más información en nuestra <a href="#" data-privacy>Política de Privacidad</a>.',
+  'cookies.decline': 'Rechazar',
+  'cookies.customize': 'Configurar',
+  'cookies.accept': 'Aceptar todas',
+  'cookies.settings-title': 'Configuración de cookies',
+  'cookies.settings-intro': 'Elija qué datos puede guardar este sitio en su navegador. Las categorías opcionales están desactivadas hasta que usted las autorice, y puede retirar su autorización en cualquier momento.',
+  'cookies.category.necessary': 'Necesarias',
+  'cookies.category.necessary-desc': 'Siempre activas: su decisión sobre cookies, los formularios pendientes de envío y la protección antispam.',
+  'cookies.category.preferences': 'Preferencias',
+  'cookies.category.preferences-desc': 'Recordar el idioma, el tema visual y la preferencia de animaciones que eligió.',
+  'cookies.category.analytics': 'Analítica',
+  'cookies.category.analytics-desc': 'Eventos anónimos (secciones vistas, uso de la evaluación y de los formularios) para saber qué contenidos son útiles. Sin identificadores ni datos de contacto.',
+  'cookies.category.marketing': 'Marketing',
+  'cookies.category.marketing-desc': 'Medir campañas publicitarias en otras plataformas.',
+  'cookies.reject-optional': 'Rechazar opcionales',
+  'cookies.save': 'Guardar selección',
+  'cookies.record': 'Política de cookies {version} · decisión guardada el {date}.',
+  'cookies.no-record': 'Política de cookies {version} · aún no ha guardado una decisión.',
+
+  // WhatsApp messages
+  'whatsapp.message': 'Hola Sanlufer Seguridad 👋\n\nVi su sitio web y me interesa recibir una cotización profesional para mi empresa.\n\nServicios de interés:\n✅ Videovigilancia con IA\n✅ Automatización de edificios\n✅ Cableado estructurado\n\n¿Podrían agendar una visita técnica gratuita? ¡Gracias!',
+  'whatsapp.quiz-intro': 'Hola Sanlufer Seguridad 👋\n\nHice la evaluación de seguridad en su sitio web y me interesa recibir una cotización profesional.\n\n',
+  'whatsapp.quiz-outro': '\n\n¿Podrían agendar una visita técnica gratuita? ¡Gracias!',
+
+  // Anti-spam
+  'spam.honeypot': 'No pudimos verificar que el envío lo hizo una persona. Por favor escríbanos por WhatsApp o correo.',
+  'spam.too-fast': 'El formulario se envió demasiado rápido. Revise sus datos y vuelva a intentarlo en unos segundos.',
+  'spam.rate-limit': 'Ha enviado varios mensajes seguidos. Podrá enviar otro en {minutes} min, o escríbanos por WhatsApp.',
+  'spam.duplicate': 'Ya recibimos este mismo mensaje. Le responderemos pronto; no es necesario enviarlo de nuevo.',
+  'spam.links': 'Su mensaje tiene demasiados enlaces o código HTML. Quítelos y descríbanos su proyecto en texto.',
+
+  // Form validation
+  'validation.required': 'Este campo es obligatorio.',
+  'validation.min-length': 'Debe tener al menos {n} caracteres.',
+  'validation.max-length': 'Máximo {n} caracteres.',
+  'validation.name': 'El nombre solo puede contener letras.',
+  'validation.email': 'Ingrese un correo válido, por ejemplo nombre@empresa.com.',
+  'validation.phone': 'Ingrese un celular (3xx xxx xxxx) o fijo (60x xxx xxxx) de Colombia.',
+  'validation.authorization': 'Necesitamos su autorización para tratar sus datos y responderle.',
+
+  // Offline support
+  'pwa.update-available': 'Hay una nueva versión del sitio disponible.',
+  'pwa.reload': 'Actualizar',
+  'pwa.later': 'Más tarde',
+});
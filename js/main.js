@@ -1,7 +1,7 @@
 /**
  * Main Application Logic
  * Navbar, Mobile Menu, Smooth Scroll, Contact Form,
- * Language Toggle, Theme Toggle, Preloader, Back to Top
+ * Language Toggle, Theme Toggle, Motion Toggle, Preloader, Back to Top
  */
 
 // ==========================================
@@ -15,16 +15,19 @@ function initPreloader() {
     preloader.classList.add('hidden');
     setTimeout(() => {
       preloader.remove();
-    }, 600);
+    }, isMotionReduced() ? 0 : 600);
+  };
+
+  // Dismiss after load + small delay, unless nobody would see the fade
+  const delayedDismiss = () => {
+    if (shouldAnimate(preloader)) setTimeout(dismiss, 800);
+    else dismiss();
   };
 
-  // Dismiss after load + small delay
   if (document.readyState === 'complete') {
-    setTimeout(dismiss, 800);
+    delayedDismiss();
   } else {
-    window.addEventListener('load', () => {
-      setTimeout(dismiss, 800);
-    });
+    window.addEventListener('load', delayedDismiss);
   }
 }
 
@@ -39,34 +42,23 @@ function initLanguageToggle() {
   if (!btn) return;
 
   const label = btn.querySelector('.toggle-btn__label');
-  const html = document.documentElement;
+  const langs = Object.keys(I18N_LANGUAGES);
 
-  // Sync button label with current language (inline script already restored lang)
-  var currentLang = html.getAttribute('data-lang') || 'es';
-  if (label) label.textContent = currentLang === 'es' ? 'EN' : 'ES';
+  // The button offers the next language in the list
+  function nextLang() {
+    return langs[(langs.indexOf(getLang()) + 1) % langs.length];
+  }
 
-  function updateAriaLabels(lang) {
-    document.querySelectorAll('[data-aria-' + lang + ']').forEach(function(el) {
-      el.setAttribute('aria-label', el.getAttribute('data-aria-' + lang));
-    });
+  function updateLabel() {
+    if (label) label.textContent = I18N_LANGUAGES[nextLang()].label;
   }
 
-  // Set aria-labels for initial language
-  updateAriaLabels(currentLang);
+  updateLabel();
 
   btn.addEventListener('click', () => {
-    const current = html.getAttribute('data-lang') || 'es';
-    const next = current === 'es' ? 'en' : 'es';
-
-    html.setAttribute('data-lang', next);
-    html.setAttribute('lang', next);
-    localStorage.setItem('sanlufer-lang', next);
-
-    // Update button label to show the OTHER language option
-    if (label) label.textContent = next === 'es' ? 'EN' : 'ES';
-
-    // Update bilingual aria-labels
-    updateAriaLabels(next);
+    setLang(nextLang());
+    updateLabel();
+    trackEvent('language_toggle', { lang: getLang() });
   });
 }
 
@@ -77,30 +69,53 @@ function initThemeToggle() {
   const btn = document.getElementById('themeToggle');
   if (!btn) return;
 
-  const html = document.documentElement;
+  // The button cycles system → light → dark; its icon shows the current choice
+  function nextPreference() {
+    return THEME_PREFERENCES[(THEME_PREFERENCES.indexOf(getThemePreference()) + 1) % THEME_PREFERENCES.length];
+  }
 
-  // Restore saved theme or detect system preference
-  const saved = localStorage.getItem('sanlufer-theme');
-  if (saved && (saved === 'dark' || saved === 'light')) {
-    html.setAttribute('data-theme', saved);
-  } else if (window.matchMedia('(prefers-color-scheme: light)').matches) {
-    html.setAttribute('data-theme', 'light');
+  function updateLabel() {
+    const preference = getThemePreference();
+    const current = preference === 'system'
+      ? t('theme.system-now', { theme: t('theme.name.' + getTheme()) })
+      : t('theme.name.' + preference);
+    const label = t('theme.button', { current: current, next: t('theme.name.' + nextPreference()) });
+    btn.setAttribute('aria-label', label);
+    btn.setAttribute('title', label);
   }
 
+  updateLabel();
+
   btn.addEventListener('click', () => {
-    const current = html.getAttribute('data-theme') || 'dark';
-    const next = current === 'dark' ? 'light' : 'dark';
+    setTheme(nextPreference());
+    trackEvent('theme_toggle', { preference: getThemePreference(), theme: getTheme() });
+  });
 
-    html.setAttribute('data-theme', next);
-    localStorage.setItem('sanlufer-theme', next);
+  document.addEventListener('sanlufer:theme', updateLabel);
+  document.addEventListener('sanlufer:lang', updateLabel);
+}
 
-    // Update meta theme-color
-    const metaTheme = document.querySelector('meta[name="theme-color"]:not([media])') ||
-                      document.querySelector('meta[name="theme-color"]');
-    if (metaTheme) {
-      metaTheme.setAttribute('content', next === 'dark' ? '#0B1120' : '#F8FAFC');
-    }
+// ==========================================
+// MOTION TOGGLE
+// ==========================================
+function initMotionToggle() {
+  const btn = document.getElementById('motionToggle');
+  if (!btn) return;
+
+  function updateState() {
+    btn.setAttribute('aria-pressed', String(isMotionReduced()));
+  }
+
+  updateState();
+
+  // Pressed means reduced; unpressing over an OS "reduce" setting asks for full motion
+  btn.addEventListener('click', () => {
+    if (isMotionReduced()) setMotionPreference(prefersReducedMotion() ? 'full' : 'system');
+    else setMotionPreference(prefersReducedMotion() ? 'system' : 'reduce');
+    trackEvent('motion_toggle', { preference: getMotionPreference(), reduced: isMotionReduced() });
   });
+
+  document.addEventListener('sanlufer:motion', updateState);
 }
 
 // ==========================================
@@ -188,13 +203,133 @@ function initSmoothScroll() {
 
         window.scrollTo({
           top: offsetPosition,
-          behavior: 'smooth',
+          behavior: isMotionReduced() ? 'auto' : 'smooth',
         });
       }
     });
   });
 }
 
+// ==========================================
+// CONTACT FORM ANTI-SPAM
+// ==========================================
+const SPAM_RULES = {
+  minFillMs: 3000,             // faster than this since the form was ready looks automated
+  maxSubmissions: 3,           // per browser...
+  windowMs: 10 * 60 * 1000,    // ...within this window
+  duplicateMs: 24 * 60 * 60 * 1000,
+  maxLinks: 2,
+};
+const SPAM_LOG_KEY = 'sanlufer-form-log';
+
+// Which rules apply and where the submissions are logged, per form
+const CONTACT_SPAM_POLICY = { rules: SPAM_RULES, logKey: SPAM_LOG_KEY };
+
+// Data-subject requests (Ley 1581) keep their own log, so they never count
+// against the contact form, and only an identical request sent moments ago
+// is treated as a repeat
+const RIGHTS_SPAM_POLICY = {
+  rules: Object.assign({}, SPAM_RULES, {
+    maxSubmissions: 5,
+    windowMs: 60 * 60 * 1000,
+    duplicateMs: 10 * 60 * 1000,
+  }),
+  logKey: 'sanlufer-rights-log',
+};
+
+// Small, stable string hash (FNV-1a) used to spot repeated submissions
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+function hashLead(fields) {
+  return hashString(['nombre', 'email', 'telefono', 'servicio', 'solicitud', 'mensaje'].map((name) =>
+    String(fields[name] || '').toLowerCase().replace(/\s+/g, ' ').trim()
+  ).join('|'));
+}
+
+function getSubmissionLog(policy) {
+  policy = policy || CONTACT_SPAM_POLICY;
+  try {
+    const now = Date.now();
+    const keep = Math.max(policy.rules.duplicateMs, policy.rules.windowMs);
+    return (JSON.parse(localStorage.getItem(policy.logKey)) || []).filter((entry) => now - entry.at < keep);
+  } catch (e) {
+    return [];
+  }
+}
+
+function logSubmission(fields, policy) {
+  policy = policy || CONTACT_SPAM_POLICY;
+  const log = getSubmissionLog(policy);
+  log.push({ at: Date.now(), hash: hashLead(fields) });
+  localStorage.setItem(policy.logKey, JSON.stringify(log));
+}
+
+/**
+ * Run the anti-spam checks on a lead before it is sent.
+ * @param {Object} fields - from formDataToFields()
+ * @param {number} readyAt - timestamp when the form became usable
+ * @param {{rules: Object, logKey: string}} [policy] - defaults to CONTACT_SPAM_POLICY
+ * @returns {{code: string, key: string, params: Object}|null} why it was blocked
+ *   (key is an i18n message), or null
+ */
+function checkSpam(fields, readyAt, policy) {
+  policy = policy || CONTACT_SPAM_POLICY;
+  const rules = policy.rules;
+  const now = Date.now();
+
+  if (fields._honey) {
+    return { code: 'honeypot', key: 'spam.honeypot' };
+  }
+
+  if (now - readyAt < rules.minFillMs) {
+    return { code: 'too-fast', key: 'spam.too-fast' };
+  }
+
+  const log = getSubmissionLog(policy);
+  const recent = log.filter((entry) => now - entry.at < rules.windowMs);
+  if (recent.length >= rules.maxSubmissions) {
+    const minutes = Math.ceil((recent[0].at + rules.windowMs - now) / 60000);
+    return { code: 'rate-limit', key: 'spam.rate-limit', params: { minutes: minutes } };
+  }
+
+  const hash = hashLead(fields);
+  if (log.some((entry) => entry.hash === hash && now - entry.at < rules.duplicateMs)) {
+    return { code: 'duplicate', key: 'spam.duplicate' };
+  }
+
+  const message = String(fields.mensaje || '');
+  const links = (message.match(/https?:\/\/|www\.|\[url|<a\s/gi) || []).length;
+  const linkInName = /https?:\/\/|www\.|\.(com|net|ru|xyz)\b/i.test(String(fields.nombre || ''));
+  if (links > rules.maxLinks || linkInName || /<\/?[a-z][^>]*>/i.test(message)) {
+    return { code: 'links', key: 'spam.links' };
+  }
+
+  return null;
+}
+
+// ==========================================
+// DATA-PROCESSING AUTHORISATION (Ley 1581)
+// ==========================================
+// Version of the privacy policy shown in #privacyModal; change it with the text
+const PRIVACY_POLICY_VERSION = '2026-10';
+
+/**
+ * Record which policy a lead authorised and when, in fields sent with it.
+ * @param {Object} fields - from formDataToFields()
+ * @param {Date} authorizedAt - when the authorisation box was ticked
+ */
+function stampDataAuthorization(fields, authorizedAt) {
+  fields.autorizacion_politica = PRIVACY_POLICY_VERSION;
+  fields.autorizacion_fecha = authorizedAt.toISOString();
+}
+
 // ==========================================
 // CONTACT FORM HANDLING
 // ==========================================
@@ -202,50 +337,176 @@ function initContactForm() {
   const form = document.getElementById('contactForm');
   if (!form) return;
 
+  const status = document.getElementById('contactStatus');
+  const transport = getTransportConfig(form);
+  const validator = createFormValidator(form, CONTACT_FORM_RULES);
+  const readyAt = Date.now();
+  const authorization = form.elements.autorizacion;
+  let authorizedAt = null;
+
+  if (authorization) {
+    authorization.addEventListener('change', () => {
+      authorizedAt = authorization.checked ? new Date() : null;
+    });
+    form.addEventListener('reset', () => { authorizedAt = null; });
+  }
+
+  function setStatus(html, state) {
+    if (!status) return;
+    status.innerHTML = html;
+    status.className = 'form-status' + (state ? ' form-status--' + state : '');
+  }
+
+  // Mail client link kept as a manual alternative while a lead waits in the outbox
+  function mailtoLink(fields) {
+    const subject = encodeURIComponent('Cotización desde sitio web - ' + (fields.nombre || ''));
+    const quiz = fields.quiz_puntaje ? '\nEvaluación: ' + fields.quiz_puntaje + ' (' + (fields.quiz_respuestas || '') + ')' : '';
+    const body = encodeURIComponent('Nombre: ' + (fields.nombre || '') + '\nEmail: ' + (fields.email || '') + '\nTeléfono: ' + (fields.telefono || '') + '\nServicio: ' + (fields.servicio || '') + quiz + '\n\nMensaje:\n' + (fields.mensaje || ''));
+    return 'mailto:ernesto.diaz@sanluferseguridad.com?subject=' + subject + '&body=' + body;
+  }
+
+  function showPending(pending, dropped) {
+    if (dropped) {
+      setStatus(i18nHTML('contact.queue-dropped', { count: dropped }), 'error');
+    } else if (pending) {
+      setStatus(i18nHTML('contact.pending', { count: pending }), 'queued');
+    } else if (status && status.classList.contains('form-status--queued')) {
+      setStatus(i18nHTML('contact.queue-flushed'), 'success');
+    }
+  }
+
+  showPending(getOutbox().length);
+  document.addEventListener('sanlufer:outbox', (e) => showPending(e.detail.pending, e.detail.dropped));
+
   form.addEventListener('submit', (e) => {
     e.preventDefault();
 
+    if (!validator.validate()) {
+      trackEvent('form_failed', { form: 'contact', reason: 'invalid' });
+      return;
+    }
+
+    const fields = formDataToFields(new FormData(form));
+    const blocked = checkSpam(fields, readyAt);
+    if (blocked) {
+      setStatus(i18nHTML(blocked.key, blocked.params), 'blocked');
+      trackEvent('form_failed', { form: 'contact', reason: 'blocked' });
+      return;
+    }
+    logSubmission(fields);
+    if (authorization) stampDataAuthorization(fields, authorizedAt || new Date());
+
     const btn = form.querySelector('button[type="submit"]');
     const originalHTML = btn.innerHTML;
     btn.disabled = true;
-    btn.innerHTML = '<span class="lang-es">Enviando...</span><span class="lang-en">Sending...</span> <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="12" cy="12" r="10" stroke-dasharray="32" stroke-dashoffset="32"><animate attributeName="stroke-dashoffset" dur="1s" values="32;0" repeatCount="indefinite"/></circle></svg>';
-
-    const formData = new FormData(form);
-
-    // Submit via FormSubmit.co (verify email on first submission — no account needed)
-    fetch('https://formsubmit.co/ajax/ernesto.diaz@sanluferseguridad.com', {
-      method: 'POST',
-      body: formData,
-      headers: { 'Accept': 'application/json' }
-    })
-    .then(response => {
-      if (response.ok) {
-        btn.innerHTML = '<span class="lang-es">¡Mensaje Enviado!</span><span class="lang-en">Message Sent!</span> <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 6L9 17l-5-5"/></svg>';
+    btn.innerHTML = i18nHTML('contact.sending') + ' <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="12" cy="12" r="10" stroke-dasharray="32" stroke-dashoffset="32"><animate attributeName="stroke-dashoffset" dur="1s" values="32;0" repeatCount="indefinite"/></circle></svg>';
+
+    submitLead(transport, fields).then((outcome) => {
+      if (outcome.status === 'sent') {
+        trackEvent('form_submitted', { form: 'contact', service: fields.servicio || '', quiz: !!fields.quiz_puntaje });
+        btn.innerHTML = i18nHTML('contact.sent') + ' <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 6L9 17l-5-5"/></svg>';
         btn.classList.add('btn--success');
-        setTimeout(() => {
-          form.reset();
-          btn.innerHTML = originalHTML;
-          btn.classList.remove('btn--success');
-          btn.disabled = false;
-        }, 3000);
+        setStatus('', null);
+      } else if (outcome.status === 'rejected') {
+        // Refused by the back end: nothing to retry, the visitor keeps the form
+        btn.innerHTML = originalHTML;
+        btn.disabled = false;
+        trackEvent('form_failed', { form: 'contact', reason: 'rejected' });
+        setStatus(i18nHTML('contact.rejected', { mailto: mailtoLink(fields) }), 'error');
+        return;
       } else {
-        throw new Error('Form submission failed');
+        // Saved in the outbox: retried automatically when the connection returns
+        btn.innerHTML = i18nHTML('contact.queued-button') + ' <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>';
+        btn.classList.add('btn--queued');
+        trackEvent('form_failed', { form: 'contact', reason: 'queued' });
+        setStatus(i18nHTML('contact.queued', { mailto: mailtoLink(fields) }), 'queued');
       }
-    })
-    .catch(() => {
-      // Fallback: open mailto
-      const name = formData.get('nombre') || '';
-      const email = formData.get('email') || '';
-      const msg = formData.get('mensaje') || '';
-      const subject = encodeURIComponent('Cotización desde sitio web - ' + name);
-      const body = encodeURIComponent('Nombre: ' + name + '\nEmail: ' + email + '\nTeléfono: ' + (formData.get('telefono') || '') + '\nServicio: ' + (formData.get('servicio') || '') + '\n\nMensaje:\n' + msg);
-      window.location.href = 'mailto:ernesto.diaz@sanluferseguridad.com?subject=' + subject + '&body=' + body;
-      btn.innerHTML = originalHTML;
-      btn.disabled = false;
+
+      setTimeout(() => {
+        form.reset();
+        btn.innerHTML = originalHTML;
+        btn.classList.remove('btn--success', 'btn--queued');
+        btn.disabled = false;
+      }, 3000);
     });
   });
 }
 
+/**
+ * Add, update or (with null) remove a hidden field that travels with a form's payload.
+ * @param {HTMLFormElement} form
+ * @param {string} name
+ * @param {string|null} value
+ */
+function setHiddenField(form, name, value) {
+  let input = form.querySelector('input[type="hidden"][name="' + name + '"]');
+  if (value === null) {
+    if (input) input.remove();
+    return;
+  }
+  if (!input) {
+    input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    form.appendChild(input);
+  }
+  input.value = value;
+}
+
+// ==========================================
+// QUIZ → CONTACT FORM HANDOFF
+// ==========================================
+function initQuizHandoff() {
+  const form = document.getElementById('contactForm');
+  if (!form) return;
+
+  const servicio = form.querySelector('#servicio');
+  const mensaje = form.querySelector('#mensaje');
+  const fields = {
+    quiz_puntaje: (summary) => summary.score + '/100',
+    quiz_nivel: (summary) => getQuizLevel(summary.score).es.title,
+    quiz_factor: (summary) => QUIZ_DIMENSIONS[summary.driver].es,
+    quiz_respuestas: (summary) => Object.keys(summary.answers).map((key) => key + '=' + summary.answers[key]).join('; '),
+    quiz_servicios: (summary) => summary.services.join(', '),
+  };
+  let prefilled = '';
+
+  function apply(summary) {
+    Object.keys(fields).forEach((name) => {
+      setHiddenField(form, name, summary ? fields[name](summary) : null);
+    });
+
+    // Only touch the message while it still holds our own pre-filled text
+    if (mensaje && (mensaje.value.trim() === '' || mensaje.value === prefilled)) {
+      prefilled = summary ? formatQuizSummary(summary, getLang()) : '';
+      mensaje.value = prefilled;
+    }
+
+    if (servicio && summary && summary.services.length && !servicio.value) {
+      servicio.value = summary.services[0];
+    }
+  }
+
+  apply(getQuizSummary());
+
+  // A sent (and reset) lead takes the result with it; only a new result re-attaches
+  let detached = false;
+  form.addEventListener('reset', () => {
+    detached = true;
+    apply(null);
+  });
+
+  document.addEventListener('sanlufer:quiz', (e) => {
+    detached = false;
+    apply(e.detail);
+  });
+
+  // Re-write the pre-filled summary in the new language
+  document.addEventListener('sanlufer:lang', () => {
+    if (!detached) apply(getQuizSummary());
+  });
+}
+
 // ==========================================
 // BACK TO TOP BUTTON
 // ==========================================
@@ -268,7 +529,7 @@ function initBackToTop() {
   btn.addEventListener('click', () => {
     window.scrollTo({
       top: 0,
-      behavior: 'smooth',
+      behavior: isMotionReduced() ? 'auto' : 'smooth',
     });
   });
 }
@@ -303,106 +564,502 @@ function initEmergencyBar() {
 function initUrgencyCounter() {
   // Based on Colombian crime statistics: ~590,000 hurtos/year ≈ 67.35/hour ≈ 1.12/minute
   const counter = document.getElementById('crimeCounter');
-  const counterEN = document.getElementById('crimeCounterEN');
   if (!counter) return;
 
+  // The number lives inside a translated message, passed in as its {count}
+  const message = counter.closest('[data-i18n-html]');
+  const section = counter.closest('.urgency-counter');
   let count = Math.floor(Math.random() * 3) + 1; // Start with small random number
+  let timer = null;
 
   function updateCounters(value) {
-    const formatted = value.toLocaleString('es-CO');
-    if (counter) counter.textContent = formatted;
-    if (counterEN) counterEN.textContent = formatted;
+    if (message) setI18nParams(message, { count: formatNumber(value) });
+    else counter.textContent = formatNumber(value);
   }
 
   updateCounters(count);
-
-  // Increment every ~54 seconds (1 per minute on average, with variation)
-  const observer = new IntersectionObserver((entries) => {
-    entries.forEach((entry) => {
-      if (entry.isIntersecting) {
-        const interval = setInterval(() => {
-          count++;
-          updateCounters(count);
-        }, Math.floor(45000 + Math.random() * 20000)); // 45-65s interval
-
-        // Store interval to clear if needed
-        entry.target._crimeInterval = interval;
-      } else {
-        if (entry.target._crimeInterval) {
-          clearInterval(entry.target._crimeInterval);
-        }
-      }
-    });
-  }, { threshold: 0.3 });
-
-  const section = counter.closest('.urgency-counter');
-  if (section) observer.observe(section);
+  if (!section) return;
+
+  // Increment every ~54 seconds (1 per minute on average, with variation),
+  // only while the banner is on screen and the page visible
+  registerAnimation({
+    element: section,
+    decorative: false,
+    start() {
+      timer = setInterval(() => {
+        count++;
+        updateCounters(count);
+      }, Math.floor(45000 + Math.random() * 20000)); // 45-65s interval
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  });
 }
 
 // ==========================================
 // SECURITY ASSESSMENT QUIZ
 // ==========================================
+
+// Risk dimensions scored by the quiz. Each option declares what it adds to a
+// dimension with data-score-<name>; the maximum of every dimension is read from
+// the markup. "inverse" dimensions lower the protection level as they grow.
+const QUIZ_DIMENSIONS = {
+  exposure:   { weight: 0.3, inverse: true,  es: 'Exposición al riesgo', en: 'Risk exposure' },
+  protection: { weight: 0.5, inverse: false, es: 'Protección existente', en: 'Existing protection' },
+  urgency:    { weight: 0.2, inverse: true,  es: 'Urgencia', en: 'Urgency' },
+};
+
+function getQuizOptionScore(option, dimension) {
+  const key = 'score' + dimension.charAt(0).toUpperCase() + dimension.slice(1);
+  return parseFloat(option.dataset[key]) || 0;
+}
+
+/**
+ * Score a finished quiz.
+ * @param {NodeList|Array} steps - every .quiz__step, used to derive the maximum per dimension
+ * @param {Array} selections - the chosen .quiz__option of each step
+ * @returns {{score: number, dimensions: Object, driver: string}} score is the 0-100
+ *   protection level; driver is the dimension that cost the most points.
+ */
+function scoreSecurityQuiz(steps, selections) {
+  const names = Object.keys(QUIZ_DIMENSIONS);
+  const totalWeight = names.reduce((sum, name) => sum + QUIZ_DIMENSIONS[name].weight, 0);
+  const dimensions = {};
+  let score = 0;
+  let driver = null;
+
+  names.forEach((name) => {
+    const def = QUIZ_DIMENSIONS[name];
+    let max = 0;
+    Array.prototype.forEach.call(steps, (step) => {
+      let stepMax = 0;
+      step.querySelectorAll('.quiz__option').forEach((option) => {
+        stepMax = Math.max(stepMax, getQuizOptionScore(option, name));
+      });
+      max += stepMax;
+    });
+
+    const raw = selections.reduce((sum, option) => sum + (option ? getQuizOptionScore(option, name) : 0), 0);
+    const level = max > 0 ? Math.min(raw / max, 1) : 0;
+    const safety = def.inverse ? 1 - level : level;
+    const share = def.weight / totalWeight;
+
+    dimensions[name] = {
+      raw: raw,
+      max: max,
+      level: Math.round(level * 100),
+      lost: Math.round(share * (1 - safety) * 100),
+    };
+    score += share * safety * 100;
+
+    if (!driver || dimensions[name].lost > dimensions[driver].lost) driver = name;
+  });
+
+  return { score: Math.min(Math.round(score), 100), dimensions: dimensions, driver: driver };
+}
+
+// Verdict bands for the protection level, checked in order (score <= max); id is the analytics band
+const QUIZ_LEVELS = [
+  {
+    id: 'critical',
+    max: 25,
+    color: '#EF4444',
+    es: { title: 'Nivel Crítico — Vulnerable', desc: 'Su propiedad tiene un nivel de riesgo muy alto. Necesita un sistema de seguridad profesional urgentemente. Le recomendamos una evaluación gratuita inmediata.' },
+    en: { title: 'Critical Level — Vulnerable', desc: 'Your property has a very high risk level. You urgently need a professional security system. We recommend an immediate free assessment.' },
+  },
+  {
+    id: 'low',
+    max: 50,
+    color: '#F97316',
+    es: { title: 'Nivel Bajo — En Riesgo', desc: 'Su seguridad actual es insuficiente para las amenazas modernas. Hay brechas importantes que un sistema profesional puede cubrir. Solicite una evaluación gratuita.' },
+    en: { title: 'Low Level — At Risk', desc: 'Your current security is insufficient for modern threats. There are significant gaps that a professional system can cover. Request a free assessment.' },
+  },
+  {
+    id: 'medium',
+    max: 75,
+    color: '#FBBF24',
+    es: { title: 'Nivel Medio — Mejorable', desc: 'Tiene una base de seguridad, pero hay oportunidades de mejora con tecnología más avanzada como IA, control de acceso biométrico y monitoreo remoto.' },
+    en: { title: 'Medium Level — Improvable', desc: 'You have a security foundation, but there are improvement opportunities with more advanced technology like AI, biometric access control and remote monitoring.' },
+  },
+  {
+    id: 'high',
+    max: 100,
+    color: '#22D3EE',
+    es: { title: 'Nivel Alto — Bien Protegido', desc: 'Su propiedad tiene un buen nivel de seguridad. Aún así, podemos optimizar su sistema con las últimas tecnologías en IA y automatización. Consulte nuestras soluciones premium.' },
+    en: { title: 'High Level — Well Protected', desc: 'Your property has a good security level. Even so, we can optimize your system with the latest AI and automation technologies. Check out our premium solutions.' },
+  },
+];
+
+// Services from #servicios, keyed by their #servicio option value
+const QUIZ_SERVICES = {
+  videovigilancia: { es: 'Videovigilancia Inteligente', en: 'Intelligent Video Surveillance' },
+  automatizacion: { es: 'Automatización de Edificios', en: 'Building Automation' },
+  cableado: { es: 'Cableado Estructurado', en: 'Structured Cabling' },
+};
+
+// Equipment tiers; the first rule whose conditions match wins
+const QUIZ_TIERS = [
+  { when: { property: ['industria'] }, es: 'Empresarial', en: 'Enterprise', note: { es: 'Cámaras IP 4K, NVR redundante y VMS centralizado', en: '4K IP cameras, redundant NVR and centralised VMS' } },
+  { when: { property: ['edificio'] }, es: 'Empresarial', en: 'Enterprise', note: { es: 'Cámaras IP 4K, control de acceso por torre y VMS centralizado', en: '4K IP cameras, per-tower access control and centralised VMS' } },
+  { when: { property: ['oficina'], concern: ['integral'] }, es: 'Empresarial', en: 'Enterprise', note: { es: 'Cámaras IP con analítica IA y VMS multisede', en: 'AI-analytics IP cameras and multi-site VMS' } },
+  { when: { property: ['oficina'] }, es: 'Profesional', en: 'Professional', note: { es: 'Cámaras IP Full HD con analítica IA y NVR', en: 'Full HD IP cameras with AI analytics and NVR' } },
+  { when: {}, es: 'Esencial', en: 'Essential', note: { es: 'Cámaras IP ColorVu con app móvil', en: 'ColorVu IP cameras with mobile app' } },
+];
+
+// Answer combinations mapped to concrete recommendations. Every key in "when"
+// must match one of the listed answers; an empty "when" always applies.
+const QUIZ_RECOMMENDATIONS = [
+  { when: { concern: ['robo', 'integral'] }, service: 'videovigilancia', es: 'Cámaras IP HD con visión nocturna y ColorVu', en: 'HD IP cameras with night vision and ColorVu' },
+  { when: { concern: ['robo', 'integral'], property: ['oficina', 'edificio', 'industria'] }, service: 'videovigilancia', es: 'Analítica IA: detección de intrusión y cruce de línea', en: 'AI analytics: intrusion and line-crossing detection' },
+  { when: { property: ['edificio', 'industria'] }, service: 'videovigilancia', es: 'Lectura de placas (LPR) en accesos vehiculares', en: 'License plate recognition (LPR) at vehicle gates' },
+  { when: { concern: ['monitoreo', 'integral'] }, service: 'videovigilancia', es: 'Monitoreo remoto 24/7 vía app o centro de control', en: '24/7 remote monitoring via app or control center' },
+  { when: { current: ['intermedio'] }, service: 'videovigilancia', es: 'Migración de cámaras básicas a IP con analítica IA', en: 'Upgrade of basic cameras to AI-analytics IP cameras' },
+  { when: { concern: ['acceso', 'integral'] }, service: 'automatizacion', es: 'Control de acceso: reconocimiento facial y QR', en: 'Access control: facial recognition and QR' },
+  { when: { concern: ['acceso'], property: ['edificio'] }, service: 'automatizacion', es: 'Gestión de amenidades y control de aforo', en: 'Amenities management and capacity control' },
+  { when: { current: ['avanzado'] }, service: 'automatizacion', es: 'Sensores IoT y alertas digitales en tiempo real', en: 'IoT sensors and real-time digital alerts' },
+  { when: { property: ['casa'], concern: ['acceso', 'integral'] }, service: 'automatizacion', es: 'Integración domótica completa', en: 'Full home automation integration' },
+  { when: { property: ['oficina', 'edificio', 'industria'], current: ['nada', 'basico'] }, service: 'cableado', es: 'Red de datos certificada para soportar las cámaras IP', en: 'Certified data network to carry the IP cameras' },
+  { when: { property: ['industria'] }, service: 'cableado', es: 'Fibra óptica entre bodegas y cuarto de control', en: 'Fiber optics between warehouses and control room' },
+];
+
+// Short labels for each data-question, used in lead summaries
+const QUIZ_QUESTIONS = {
+  property: { es: 'Propiedad', en: 'Property' },
+  current: { es: 'Seguridad actual', en: 'Current security' },
+  concern: { es: 'Preocupación principal', en: 'Main concern' },
+  timeline: { es: 'Plazo', en: 'Timeline' },
+};
+
+const QUIZ_STORAGE_KEY = 'sanlufer-quiz-result';
+const QUIZ_PROGRESS_KEY = 'sanlufer-quiz-progress';
+
+function getQuizLevel(score) {
+  return QUIZ_LEVELS.find((level) => score <= level.max) || QUIZ_LEVELS[QUIZ_LEVELS.length - 1];
+}
+
+function matchesQuizRule(rule, answers) {
+  return Object.keys(rule.when).every((question) => rule.when[question].indexOf(answers[question]) !== -1);
+}
+
+/**
+ * Pick the equipment tier and the recommended services for a set of answers.
+ * @param {Object} answers - data-value of the chosen option keyed by data-question
+ * @returns {{tier: Object, services: Array<{id: string, items: Array}>}}
+ */
+function recommendQuizServices(answers) {
+  const tier = QUIZ_TIERS.find((rule) => matchesQuizRule(rule, answers));
+  const services = [];
+
+  QUIZ_RECOMMENDATIONS.forEach((rule) => {
+    if (!matchesQuizRule(rule, answers)) return;
+    let group = services.find((s) => s.id === rule.service);
+    if (!group) {
+      group = { id: rule.service, items: [] };
+      services.push(group);
+    }
+    group.items.push(rule);
+  });
+
+  return { tier: tier, services: services };
+}
+
+/**
+ * Last finished quiz of this session, as saved by initSecurityQuiz.
+ * @returns {Object|null} score, driver, answers, labels, services and tier
+ */
+function getQuizSummary() {
+  try {
+    return JSON.parse(sessionStorage.getItem(QUIZ_STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Plain-text summary of a quiz result for the contact form and WhatsApp.
+ * @param {Object} summary - as returned by getQuizSummary()
+ * @param {string} lang - a language of I18N_LANGUAGES
+ * @returns {string}
+ */
+function formatQuizSummary(summary, lang) {
+  const level = getQuizLevel(summary.score);
+  const lines = [
+    t('quiz.summary.result', { score: summary.score, level: localize(level, lang).title }, lang),
+    t('quiz.summary.driver', { driver: localize(QUIZ_DIMENSIONS[summary.driver], lang) }, lang),
+  ];
+
+  summary.labels.forEach((label) => {
+    const question = QUIZ_QUESTIONS[label.key] || label.question;
+    lines.push('• ' + localize(question, lang) + ': ' + localize(label.answer, lang));
+  });
+
+  if (summary.services.length) {
+    lines.push(t('quiz.summary.services', { services: summary.services.map((id) => localize(QUIZ_SERVICES[id], lang)).join(', ') }, lang));
+  }
+  lines.push(t('quiz.summary.tier', { tier: localize(summary.tier, lang) }, lang));
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the standalone, printable bilingual report for a finished quiz.
+ * @param {Object} report - assessment, answers (with both-language labels) and recommendations
+ * @returns {string} full HTML document
+ */
+function buildQuizReportHTML(report) {
+  const level = getQuizLevel(report.assessment.score);
+  const both = (pair) => '<span class="es">' + escapeHTML(pair.es) + '</span><span class="en">' + escapeHTML(pair.en) + '</span>';
+  // A catalog message in both languages; params(lang) gives its parameters
+  const bothT = (key, params) => both({
+    es: t(key, params && params('es'), 'es'),
+    en: t(key, params && params('en'), 'en'),
+  });
+  const date = report.date;
+
+  const answers = report.answers.map((a) =>
+    '<tr><th>' + both(a.question) + '</th><td>' + both(a.answer) + '</td></tr>'
+  ).join('');
+
+  const dimensions = Object.keys(report.assessment.dimensions).map((name) =>
+    '<tr><th>' + both(QUIZ_DIMENSIONS[name]) + '</th><td>' + report.assessment.dimensions[name].level + '%</td></tr>'
+  ).join('');
+
+  const services = report.recommendations.services.map((group) =>
+    '<h3>' + both(QUIZ_SERVICES[group.id]) + '</h3><ul>' +
+    group.items.map((item) => '<li>' + both(item) + '</li>').join('') + '</ul>'
+  ).join('');
+
+  const tier = report.recommendations.tier;
+
+  return '<!DOCTYPE html><html lang="es"><head><meta charset="UTF-8">' +
+    '<title>Sanlufer Seguridad — ' + escapeHTML(t('quiz.report.title', null, 'es') + ' / ' + t('quiz.report.title', null, 'en')) + '</title>' +
+    '<style>' +
+    'body{font-family:Inter,-apple-system,"Segoe UI",sans-serif;color:#0F172A;max-width:760px;margin:2rem auto;padding:0 1.5rem;line-height:1.5}' +
+    'h1{font-size:1.5rem;margin-bottom:.25rem}h2{font-size:1.1rem;margin:1.75rem 0 .5rem;border-bottom:2px solid #22D3EE;padding-bottom:.25rem}h3{font-size:1rem;margin:1rem 0 .25rem}' +
+    '.en{display:block;color:#475569;font-style:italic;font-size:.9em}' +
+    'table{width:100%;border-collapse:collapse}th,td{text-align:left;vertical-align:top;padding:.4rem .5rem;border-bottom:1px solid #E2E8F0}th{width:55%;font-weight:500}' +
+    '.score{font-size:2.5rem;font-weight:700;color:' + level.color + '}.meta{color:#475569;font-size:.85rem}' +
+    '.actions{margin:1.5rem 0}@media print{.actions{display:none}body{margin:0}}' +
+    '</style></head><body>' +
+    '<h1>Sanlufer Seguridad</h1>' +
+    '<p class="meta">' + bothT('quiz.report.dated', (lang) => ({ date: formatDate(date, undefined, lang) })) + '</p>' +
+    '<div class="actions"><button onclick="window.print()">' + escapeHTML(t('quiz.report.print', null, 'es') + ' — ' + t('quiz.report.print', null, 'en')) + '</button></div>' +
+    '<h2>' + bothT('quiz.report.result') + '</h2>' +
+    '<p class="score">' + report.assessment.score + '/100</p>' +
+    '<p><strong>' + both({ es: level.es.title, en: level.en.title }) + '</strong></p>' +
+    '<p>' + both({ es: level.es.desc, en: level.en.desc }) + '</p>' +
+    '<p>' + bothT('quiz.summary.driver', (lang) => ({ driver: localize(QUIZ_DIMENSIONS[report.assessment.driver], lang) })) + '</p>' +
+    '<table>' + dimensions + '</table>' +
+    '<h2>' + bothT('quiz.report.answers') + '</h2>' +
+    '<table>' + answers + '</table>' +
+    '<h2>' + bothT('quiz.report.recommendation') + '</h2>' +
+    '<p><strong>' + bothT('quiz.summary.tier', (lang) => ({ tier: localize(tier, lang) })) + '</strong></p>' +
+    '<p>' + both(tier.note) + '</p>' +
+    services +
+    '<h2>' + bothT('quiz.report.contact') + '</h2>' +
+    '<p>+57 320 631 2166 · ernesto.diaz@sanluferseguridad.com · sanluferseguridad.com<br>Medellín, Antioquia - Colombia</p>' +
+    '<p class="meta">' + bothT('quiz.report.disclaimer') + '</p>' +
+    '</body></html>';
+}
+
 function initSecurityQuiz() {
   const quiz = document.getElementById('securityQuiz');
   if (!quiz) return;
 
   const steps = quiz.querySelectorAll('.quiz__step');
+  const progress = quiz.querySelector('.quiz__progress');
   const progressBar = document.getElementById('quizProgress');
   const progressText = document.getElementById('quizProgressText');
   const result = document.getElementById('quizResult');
+  const review = document.getElementById('quizReview');
+  const reviewList = document.getElementById('quizReviewList');
+  const backBtn = document.getElementById('quizBack');
+  const submitBtn = document.getElementById('quizSubmit');
   const restartBtn = document.getElementById('quizRestart');
+  const reportBtn = document.getElementById('quizReport');
   const totalSteps = steps.length;
+  // 1..totalSteps while answering; view is 'step', 'review' or 'result'
   let currentStep = 1;
-  let totalScore = 0;
+  let view = 'step';
+  let selections = [];
+  let lastReport = null;
 
   if (!progressBar || !progressText || !result) return;
 
+  // Progress survives reloads and language toggles within the session
+  function saveProgress() {
+    sessionStorage.setItem(QUIZ_PROGRESS_KEY, JSON.stringify({
+      step: currentStep,
+      view: view,
+      answers: Array.prototype.map.call(steps, (step, i) => (selections[i] ? selections[i].dataset.value : null)),
+    }));
+  }
+
+  function restoreProgress() {
+    let saved = null;
+    try {
+      saved = JSON.parse(sessionStorage.getItem(QUIZ_PROGRESS_KEY));
+    } catch (e) {
+      return false;
+    }
+    if (!saved || !Array.isArray(saved.answers)) return false;
+
+    steps.forEach((step, i) => {
+      const value = saved.answers[i];
+      selections[i] = value ? step.querySelector('.quiz__option[data-value="' + value + '"]') : null;
+    });
+
+    const complete = selections.filter(Boolean).length === totalSteps;
+    if (saved.view === 'result' && complete) showQuizResult(true);
+    else if (saved.view === 'review' && complete) showReview();
+    else showStep(Math.min(Math.max(parseInt(saved.step, 10) || 1, 1), totalSteps));
+    return true;
+  }
+
+  function hideAll() {
+    steps.forEach((s) => s.classList.remove('quiz__step--active'));
+    if (review) review.classList.remove('active');
+    result.classList.remove('active');
+  }
+
+  function setProgress(step) {
+    const pct = Math.round((step / totalSteps) * 100);
+    progress.style.display = '';
+    progressBar.style.width = pct + '%';
+    progressBar.setAttribute('aria-valuenow', pct);
+    progressBar.setAttribute('aria-valuetext', t('quiz.step-of', { step: step, total: totalSteps }));
+    progressText.textContent = step + ' / ' + totalSteps;
+  }
+
+  function showStep(n, focus) {
+    currentStep = n;
+    view = 'step';
+    hideAll();
+
+    const step = steps[n - 1];
+    step.classList.add('quiz__step--active');
+    setProgress(n);
+    if (backBtn) backBtn.hidden = n === 1;
+
+    // Highlight the answer given before, so going back shows what will be replaced
+    const options = step.querySelectorAll('.quiz__option');
+    options.forEach((option) => {
+      const selected = option === selections[n - 1];
+      option.classList.toggle('quiz__option--selected', selected);
+      option.setAttribute('aria-pressed', selected ? 'true' : 'false');
+    });
+
+    if (focus) (selections[n - 1] || options[0]).focus();
+    saveProgress();
+  }
+
+  function showReview(focus) {
+    view = 'review';
+    hideAll();
+    setProgress(totalSteps);
+    if (backBtn) backBtn.hidden = false;
+
+    if (review && reviewList) {
+      renderQuizReview();
+      review.classList.add('active');
+      if (focus && submitBtn) submitBtn.focus();
+    }
+    saveProgress();
+
+    // Markup without a review screen goes straight to the result
+    if (!review || !reviewList) showQuizResult();
+  }
+
+  function renderQuizReview() {
+    const answers = getQuizAnswers();
+    reviewList.innerHTML = '';
+    answers.labels.forEach((label, i) => {
+      const li = document.createElement('li');
+      li.className = 'quiz__review-item';
+      li.innerHTML = '<span class="quiz__review-question"></span>' +
+        '<strong class="quiz__review-answer"></strong>' +
+        '<button type="button" class="quiz__review-edit" data-edit-step="' + (i + 1) + '"></button>';
+      li.querySelector('.quiz__review-question').textContent = localize(label.question);
+      li.querySelector('.quiz__review-answer').textContent = localize(label.answer);
+      li.querySelector('.quiz__review-edit').textContent = t('quiz.change');
+      reviewList.appendChild(li);
+    });
+  }
+
+  function goBack() {
+    if (view === 'review') showStep(totalSteps, true);
+    else if (view === 'step' && currentStep > 1) showStep(currentStep - 1, true);
+  }
+
   // Handle option clicks
   quiz.addEventListener('click', (e) => {
+    const edit = e.target.closest('[data-edit-step]');
+    if (edit) {
+      showStep(parseInt(edit.dataset.editStep, 10), true);
+      return;
+    }
+
     const option = e.target.closest('.quiz__option');
-    if (!option) return;
+    if (!option || view !== 'step') return;
+
+    if (!selections.some(Boolean)) trackEvent('quiz_start');
+    selections[currentStep - 1] = option;
+
+    // Next unanswered step (wrapping around), or the review once all are answered
+    let next = 0;
+    for (let i = 1; i <= totalSteps && !next; i++) {
+      const candidate = ((currentStep - 1 + i) % totalSteps) + 1;
+      if (!selections[candidate - 1]) next = candidate;
+    }
 
-    const score = parseInt(option.dataset.score, 10) || 0;
-    totalScore += score;
+    // Move focus along only for keyboard activation (click detail is 0)
+    if (next) showStep(next, e.detail === 0);
+    else showReview(e.detail === 0);
+  });
 
-    // Hide current step
-    const activeStep = quiz.querySelector('.quiz__step--active');
-    if (activeStep) activeStep.classList.remove('quiz__step--active');
+  // Arrow keys move between the options of the current step; Enter/Space pick one
+  quiz.addEventListener('keydown', (e) => {
+    const option = e.target.closest('.quiz__option');
+    if (!option) return;
 
-    currentStep++;
+    const options = Array.prototype.slice.call(option.parentNode.querySelectorAll('.quiz__option'));
+    const index = options.indexOf(option);
+    let target = null;
 
-    if (currentStep <= totalSteps) {
-      // Show next step
-      const nextStep = quiz.querySelector(`[data-step="${currentStep}"]`);
-      if (nextStep) nextStep.classList.add('quiz__step--active');
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') target = options[(index + 1) % options.length];
+    else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') target = options[(index - 1 + options.length) % options.length];
+    else if (e.key === 'Home') target = options[0];
+    else if (e.key === 'End') target = options[options.length - 1];
+    else if (e.key === 'Backspace' && currentStep > 1) {
+      e.preventDefault();
+      goBack();
+      return;
+    }
 
-      // Update progress
-      const pct = Math.round((currentStep / totalSteps) * 100);
-      progressBar.style.width = pct + '%';
-      progressBar.setAttribute('aria-valuenow', pct);
-      var quizLang = document.documentElement.getAttribute('data-lang') || 'es';
-      progressBar.setAttribute('aria-valuetext', quizLang === 'en' ? 'Step ' + currentStep + ' of ' + totalSteps : 'Paso ' + currentStep + ' de ' + totalSteps);
-      progressText.textContent = currentStep + ' / ' + totalSteps;
-    } else {
-      // Show results
-      showQuizResult();
+    if (target) {
+      e.preventDefault();
+      target.focus();
     }
   });
 
-  function showQuizResult() {
-    // Hide progress
-    quiz.querySelector('.quiz__progress').style.display = 'none';
-
-    // Calculate security level (0-100)
-    // Score measures existing protection: higher score = better protected
-    // Step1 (property type): NOT about protection, so we subtract it
-    // Step2 (current security): 0=none, 2=basic, 5=intermediate, 8=professional
-    // Step3 (concern): 1-3, lower = more urgent need
-    // Step4 (urgency): 0=exploring, 2=next month, 4=this week, 6=immediate
-    // Effective protection score = step2 score only (0-8), normalized
-    // But we use total as a rough proxy: max=22, min=1
-    const maxScore = 22;
-    const normalizedScore = Math.min(Math.round((totalScore / maxScore) * 100), 100);
+  if (backBtn) backBtn.addEventListener('click', goBack);
+  if (submitBtn) submitBtn.addEventListener('click', () => showQuizResult());
+
+  // restored: shown again after a reload, not a new completion
+  function showQuizResult(restored) {
+    view = 'result';
+    hideAll();
+    saveProgress();
+
+    // Hide progress and navigation
+    progress.style.display = 'none';
+    if (backBtn) backBtn.hidden = true;
+
+    // Security level (0-100): weighted blend of the per-dimension levels
+    const assessment = scoreSecurityQuiz(steps, selections);
+    const normalizedScore = assessment.score;
 
     result.classList.add('active');
 
@@ -410,47 +1067,181 @@ function initSecurityQuiz() {
     const gaugeFill = quiz.querySelector('.quiz__gauge-fill');
     const totalLength = 326.7;
     const dashOffset = totalLength - (totalLength * normalizedScore / 100);
-    setTimeout(() => {
+    if (shouldAnimate(gaugeFill)) {
+      setTimeout(() => {
+        gaugeFill.style.strokeDashoffset = dashOffset;
+      }, 100);
+    } else {
       gaugeFill.style.strokeDashoffset = dashOffset;
-    }, 100);
+    }
 
     // Animate number
     const scoreNum = document.getElementById('quizScoreNumber');
     if (scoreNum) animateScoreNumber(scoreNum, normalizedScore);
 
-    // Set result text
-    const lang = document.documentElement.getAttribute('data-lang') || 'es';
+    const answers = getQuizAnswers();
+    const recommendations = recommendQuizServices(answers.values);
+
+    lastReport = {
+      date: new Date(),
+      assessment: assessment,
+      answers: answers.labels,
+      recommendations: recommendations,
+    };
+
+    renderQuizResultText();
+
+    publishQuizResult({
+      score: assessment.score,
+      driver: assessment.driver,
+      answers: answers.values,
+      labels: answers.labels,
+      services: recommendations.services.map((group) => group.id),
+      tier: pickLanguages(recommendations.tier),
+    });
+
+    if (!restored) {
+      trackEvent('quiz_complete', { band: getQuizLevel(assessment.score).id, driver: assessment.driver });
+    }
+  }
+
+  // Result texts, re-rendered without animation when the language changes
+  function renderQuizResultText() {
+    if (!lastReport) return;
     const titleEl = document.getElementById('quizResultTitle');
     const descEl = document.getElementById('quizResultDesc');
+    const level = getQuizLevel(lastReport.assessment.score);
 
-    if (normalizedScore <= 25) {
-      titleEl.textContent = lang === 'es' ? 'Nivel Crítico — Vulnerable' : 'Critical Level — Vulnerable';
-      titleEl.style.color = '#EF4444';
-      descEl.textContent = lang === 'es'
-        ? 'Su propiedad tiene un nivel de riesgo muy alto. Necesita un sistema de seguridad profesional urgentemente. Le recomendamos una evaluación gratuita inmediata.'
-        : 'Your property has a very high risk level. You urgently need a professional security system. We recommend an immediate free assessment.';
-    } else if (normalizedScore <= 50) {
-      titleEl.textContent = lang === 'es' ? 'Nivel Bajo — En Riesgo' : 'Low Level — At Risk';
-      titleEl.style.color = '#F97316';
-      descEl.textContent = lang === 'es'
-        ? 'Su seguridad actual es insuficiente para las amenazas modernas. Hay brechas importantes que un sistema profesional puede cubrir. Solicite una evaluación gratuita.'
-        : 'Your current security is insufficient for modern threats. There are significant gaps that a professional system can cover. Request a free assessment.';
-    } else if (normalizedScore <= 75) {
-      titleEl.textContent = lang === 'es' ? 'Nivel Medio — Mejorable' : 'Medium Level — Improvable';
-      titleEl.style.color = '#FBBF24';
-      descEl.textContent = lang === 'es'
-        ? 'Tiene una base de seguridad, pero hay oportunidades de mejora con tecnología más avanzada como IA, control de acceso biométrico y monitoreo remoto.'
-        : 'You have a security foundation, but there are improvement opportunities with more advanced technology like AI, biometric access control and remote monitoring.';
-    } else {
-      titleEl.textContent = lang === 'es' ? 'Nivel Alto — Bien Protegido' : 'High Level — Well Protected';
-      titleEl.style.color = '#22D3EE';
-      descEl.textContent = lang === 'es'
-        ? 'Su propiedad tiene un buen nivel de seguridad. Aún así, podemos optimizar su sistema con las últimas tecnologías en IA y automatización. Consulte nuestras soluciones premium.'
-        : 'Your property has a good security level. Even so, we can optimize your system with the latest AI and automation technologies. Check out our premium solutions.';
+    titleEl.textContent = localize(level).title;
+    titleEl.style.color = level.color;
+    descEl.textContent = localize(level).desc;
+
+    renderQuizBreakdown(lastReport.assessment);
+    renderQuizRecommendations(lastReport.recommendations);
+  }
+
+  // Share the result with the contact form and WhatsApp links
+  function publishQuizResult(summary) {
+    if (summary) sessionStorage.setItem(QUIZ_STORAGE_KEY, JSON.stringify(summary));
+    else sessionStorage.removeItem(QUIZ_STORAGE_KEY);
+    document.dispatchEvent(new CustomEvent('sanlufer:quiz', { detail: summary }));
+  }
+
+  // Chosen data-value per data-question, plus labels in every language for the report
+  function getQuizAnswers() {
+    const values = {};
+    const labels = [];
+
+    steps.forEach((step, i) => {
+      const option = selections[i];
+      if (!option) return;
+      values[step.dataset.question] = option.dataset.value;
+      labels.push({
+        key: step.dataset.question,
+        question: readLabels(step.querySelector('.quiz__question')),
+        answer: readLabels(option),
+      });
+    });
+
+    return { values: values, labels: labels };
+  }
+
+  // {es, en, ...} texts of an element's translated label
+  function readLabels(el) {
+    const source = el.querySelector('[data-i18n]');
+    const labels = {};
+    Object.keys(I18N_LANGUAGES).forEach((lang) => {
+      labels[lang] = source ? t(source.dataset.i18n, null, lang) : el.textContent.trim();
+    });
+    return labels;
+  }
+
+  // Only the language entries of a data object (drops rule conditions and notes)
+  function pickLanguages(value) {
+    const labels = {};
+    Object.keys(I18N_LANGUAGES).forEach((lang) => {
+      labels[lang] = localize(value, lang);
+    });
+    return labels;
+  }
+
+  function renderQuizRecommendations(recommendations) {
+    const container = document.getElementById('quizRecommendations');
+    if (!container) return;
+
+    const tier = recommendations.tier;
+    let html = '<h4 class="quiz__recommendations-title">' + escapeHTML(t('quiz.recommended')) +
+      ' <span class="quiz__tier">' + escapeHTML(localize(tier)) + '</span></h4>' +
+      '<p class="quiz__tier-note">' + escapeHTML(localize(tier.note)) + '</p>';
+
+    recommendations.services.forEach((group) => {
+      html += '<div class="quiz__recommendation">' +
+        '<a href="#servicios" class="quiz__recommendation-service">' + escapeHTML(localize(QUIZ_SERVICES[group.id])) + '</a>' +
+        '<ul>' + group.items.map((item) => '<li>' + escapeHTML(localize(item)) + '</li>').join('') + '</ul>' +
+        '</div>';
+    });
+
+    container.innerHTML = html;
+  }
+
+  function openQuizReport() {
+    if (!lastReport) return;
+
+    const html = buildQuizReportHTML(lastReport);
+    const win = window.open('', '_blank');
+
+    if (win) {
+      win.document.open();
+      win.document.write(html);
+      win.document.close();
+      win.focus();
+      setTimeout(() => win.print(), 300);
+      return;
+    }
+
+    // Pop-up blocked: download the report instead
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'sanlufer-evaluacion-' + lastReport.date.toISOString().slice(0, 10) + '.html';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  if (reportBtn) reportBtn.addEventListener('click', openQuizReport);
+
+  function renderQuizBreakdown(assessment) {
+    const driverEl = document.getElementById('quizResultDriver');
+    const listEl = document.getElementById('quizDimensions');
+
+    if (driverEl) {
+      const driver = QUIZ_DIMENSIONS[assessment.driver];
+      const lost = assessment.dimensions[assessment.driver].lost;
+      driverEl.textContent = lost > 0 ? t('quiz.driver', { driver: localize(driver), points: lost }) : '';
+    }
+
+    if (listEl) {
+      listEl.innerHTML = '';
+      Object.keys(assessment.dimensions).forEach((name) => {
+        const dim = assessment.dimensions[name];
+        const li = document.createElement('li');
+        li.className = 'quiz__dimension' + (name === assessment.driver ? ' quiz__dimension--driver' : '');
+        li.innerHTML = '<span class="quiz__dimension-label"></span>' +
+          '<span class="quiz__dimension-bar"><span class="quiz__dimension-fill" style="width:' + dim.level + '%"></span></span>' +
+          '<span class="quiz__dimension-value">' + dim.level + '%</span>';
+        li.querySelector('.quiz__dimension-label').textContent = localize(QUIZ_DIMENSIONS[name]);
+        listEl.appendChild(li);
+      });
     }
   }
 
   function animateScoreNumber(el, target) {
+    if (!shouldAnimate(el)) {
+      el.textContent = target;
+      return;
+    }
     const duration = 1500;
     const start = performance.now();
     function update(now) {
@@ -466,23 +1257,26 @@ function initSecurityQuiz() {
   // Restart
   if (restartBtn) {
     restartBtn.addEventListener('click', () => {
-      totalScore = 0;
-      currentStep = 1;
-      result.classList.remove('active');
+      selections = [];
+      lastReport = null;
+      publishQuizResult(null);
 
       // Reset gauge
       const gaugeFill = quiz.querySelector('.quiz__gauge-fill');
       gaugeFill.style.strokeDashoffset = '326.7';
 
-      // Show progress and first step
-      quiz.querySelector('.quiz__progress').style.display = '';
-      progressBar.style.width = (100 / totalSteps) + '%';
-      progressText.textContent = '1 / ' + totalSteps;
-
-      steps.forEach((s) => s.classList.remove('quiz__step--active'));
-      steps[0].classList.add('quiz__step--active');
+      showStep(1, true);
     });
   }
+
+  // Keep the visible texts in the active language
+  document.addEventListener('sanlufer:lang', () => {
+    if (view === 'step') setProgress(currentStep);
+    else if (view === 'review' && reviewList) renderQuizReview();
+    else if (view === 'result') renderQuizResultText();
+  });
+
+  if (!restoreProgress()) showStep(1);
 }
 
 // ==========================================
@@ -506,36 +1300,22 @@ function initDashboardTimestamps() {
     });
   }
 
+  var timer = null;
   updateTimes();
-  setInterval(updateTimes, 1000);
-}
-
-// ==========================================
-// COOKIE CONSENT
-// ==========================================
-function initCookieConsent() {
-  const consent = document.getElementById('cookieConsent');
-  if (!consent) return;
-
-  if (localStorage.getItem('sanlufer-cookies-accepted') || localStorage.getItem('sanlufer-cookies-declined')) return;
-
-  setTimeout(function() { consent.classList.add('visible'); }, 2000);
 
-  var acceptBtn = document.getElementById('cookieAccept');
-  var declineBtn = document.getElementById('cookieDecline');
-
-  if (acceptBtn) {
-    acceptBtn.addEventListener('click', function() {
-      localStorage.setItem('sanlufer-cookies-accepted', '1');
-      consent.classList.remove('visible');
-    });
-  }
-  if (declineBtn) {
-    declineBtn.addEventListener('click', function() {
-      localStorage.setItem('sanlufer-cookies-declined', '1');
-      consent.classList.remove('visible');
-    });
-  }
+  // A clock, not an ornament: it keeps ticking under reduced motion
+  registerAnimation({
+    element: timeEls[0].closest('.dashboard') || timeEls[0],
+    decorative: false,
+    start: function() {
+      updateTimes();
+      timer = setInterval(updateTimes, 1000);
+    },
+    stop: function() {
+      clearInterval(timer);
+      timer = null;
+    },
+  });
 }
 
 // ==========================================
@@ -548,15 +1328,16 @@ function initPrivacyModal() {
   var lastFocused = null;
   var content = modal.querySelector('.privacy-modal__content');
 
-  document.querySelectorAll('[data-privacy]').forEach(function(link) {
-    link.addEventListener('click', function(e) {
-      e.preventDefault();
-      lastFocused = document.activeElement;
-      modal.classList.add('active');
-      document.body.classList.add('no-scroll');
-      var closeBtn = modal.querySelector('.privacy-modal__close');
-      if (closeBtn) closeBtn.focus();
-    });
+  // Delegated: some links sit inside translated text that is re-rendered
+  document.addEventListener('click', function(e) {
+    var link = e.target.closest('[data-privacy]');
+    if (!link) return;
+    e.preventDefault();
+    lastFocused = document.activeElement;
+    modal.classList.add('active');
+    document.body.classList.add('no-scroll');
+    var closeBtn = modal.querySelector('.privacy-modal__close');
+    if (closeBtn) closeBtn.focus();
   });
 
   var closeBtn = modal.querySelector('.privacy-modal__close');
@@ -576,7 +1357,11 @@ function initPrivacyModal() {
     if (!modal.classList.contains('active')) return;
     if (e.key === 'Escape') { closeModal(); return; }
     if (e.key === 'Tab' && content) {
-      var focusable = content.querySelectorAll('a, button, [tabindex]:not([tabindex="-1"])');
+      // Controls of the rights form count only while it is shown
+      var focusable = Array.prototype.filter.call(
+        content.querySelectorAll('a, button, input, select, textarea, [tabindex]'),
+        function(el) { return el.tabIndex >= 0 && !el.disabled && el.type !== 'hidden' && !el.closest('[hidden]'); }
+      );
       if (!focusable.length) return;
       var first = focusable[0];
       var last = focusable[focusable.length - 1];
@@ -586,6 +1371,77 @@ function initPrivacyModal() {
   });
 }
 
+// ==========================================
+// DATA-SUBJECT REQUESTS (privacy modal)
+// ==========================================
+function initRightsForm() {
+  document.querySelectorAll('[data-policy-version]').forEach((el) => {
+    el.textContent = PRIVACY_POLICY_VERSION;
+  });
+
+  const form = document.getElementById('rightsForm');
+  const toggle = document.getElementById('rightsToggle');
+  if (!form || !toggle) return;
+
+  const status = document.getElementById('rightsStatus');
+  const transport = getTransportConfig(form);
+  const validator = createFormValidator(form, RIGHTS_FORM_RULES);
+  const readyAt = Date.now();
+
+  function setStatus(html, state) {
+    if (!status) return;
+    status.innerHTML = html;
+    status.className = 'form-status' + (state ? ' form-status--' + state : '');
+  }
+
+  toggle.addEventListener('click', () => {
+    const open = form.hidden;
+    form.hidden = !open;
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    if (open) form.elements.nombre.focus();
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    if (!validator.validate()) {
+      trackEvent('form_failed', { form: 'rights', reason: 'invalid' });
+      return;
+    }
+
+    const fields = formDataToFields(new FormData(form));
+    const blocked = checkSpam(fields, readyAt, RIGHTS_SPAM_POLICY);
+    if (blocked) {
+      setStatus(i18nHTML(blocked.key, blocked.params), 'blocked');
+      trackEvent('form_failed', { form: 'rights', reason: 'blocked' });
+      return;
+    }
+    logSubmission(fields, RIGHTS_SPAM_POLICY);
+    fields.politica_version = PRIVACY_POLICY_VERSION;
+
+    const btn = form.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    setStatus(i18nHTML('contact.sending'), null);
+
+    submitLead(transport, fields).then((outcome) => {
+      if (outcome.status === 'sent') {
+        setStatus(i18nHTML('privacy.rights-sent'), 'success');
+        trackEvent('form_submitted', { form: 'rights', request: fields.solicitud });
+      } else if (outcome.status === 'rejected') {
+        setStatus(i18nHTML('privacy.rights-rejected'), 'error');
+        trackEvent('form_failed', { form: 'rights', reason: 'rejected' });
+        btn.disabled = false;
+        return;
+      } else {
+        setStatus(i18nHTML('privacy.rights-queued'), 'queued');
+        trackEvent('form_failed', { form: 'rights', reason: 'queued' });
+      }
+      form.reset();
+      btn.disabled = false;
+    });
+  });
+}
+
 // ==========================================
 // BILINGUAL WHATSAPP LINKS
 // ==========================================
@@ -594,23 +1450,34 @@ function initWhatsAppBilingual() {
   if (!waLinks.length) return;
 
   const phone = '573206312166';
-  const msgES = 'Hola Sanlufer Seguridad 👋\n\nVi su sitio web y me interesa recibir una cotización profesional para mi empresa.\n\nServicios de interés:\n✅ Videovigilancia con IA\n✅ Automatización de edificios\n✅ Cableado estructurado\n\n¿Podrían agendar una visita técnica gratuita? ¡Gracias!';
-  const msgEN = 'Hello Sanlufer Seguridad 👋\n\nI saw your website and I\'m interested in receiving a professional quote for my business.\n\nServices of interest:\n✅ AI Video Surveillance\n✅ Building Automation\n✅ Structured Cabling\n\nCould you schedule a free technical visit? Thank you!';
+
+  function quizMessage(summary) {
+    return t('whatsapp.quiz-intro') + formatQuizSummary(summary, getLang()) + t('whatsapp.quiz-outro');
+  }
 
   function updateLinks() {
-    const lang = document.documentElement.getAttribute('data-lang') || 'es';
-    const msg = lang === 'en' ? msgEN : msgES;
+    const summary = getQuizSummary();
+    const msg = summary ? quizMessage(summary) : t('whatsapp.message');
     const url = 'https://api.whatsapp.com/send?phone=' + phone + '&text=' + encodeURIComponent(msg);
     waLinks.forEach(function(link) { link.setAttribute('href', url); });
   }
 
   updateLinks();
 
-  // Update when language changes
-  new MutationObserver(updateLinks).observe(document.documentElement, {
-    attributes: true,
-    attributeFilter: ['data-lang']
+  // Which CTA was used: the floating button or the section holding the link
+  waLinks.forEach(function(link) {
+    link.addEventListener('click', function() {
+      const section = link.closest('section[id]');
+      const placement = link.classList.contains('whatsapp-float') ? 'float' : (section ? section.id : 'page');
+      trackEvent('whatsapp_click', { placement: placement, quiz: !!getQuizSummary() });
+    });
   });
+
+  // Update when the quiz is finished or restarted
+  document.addEventListener('sanlufer:quiz', updateLinks);
+
+  // Update when language changes
+  document.addEventListener('sanlufer:lang', updateLinks);
 }
 
 // ==========================================
@@ -621,14 +1488,27 @@ function initBrandsPause() {
   var track = document.querySelector('.brands__track');
   if (!btn || !track) return;
 
-  var paused = false;
+  var paused = false;  // the visitor's choice
+  var running = false; // allowed by the motion controller
   var pauseIcon = btn.querySelector('.brands__pause-icon');
   var playIcon = btn.querySelector('.brands__play-icon');
 
+  function updatePlayState() {
+    // Empty rather than 'running' so the CSS hover/focus pause still applies
+    track.style.animationPlayState = paused || !running ? 'paused' : '';
+  }
+
+  registerAnimation({
+    element: track,
+    start: function() { running = true; updatePlayState(); },
+    stop: function() { running = false; updatePlayState(); },
+  });
+
   btn.addEventListener('click', function() {
     paused = !paused;
-    track.style.animationPlayState = paused ? 'paused' : 'running';
-    btn.setAttribute('aria-label', paused ? 'Play carousel' : 'Pause carousel');
+    updatePlayState();
+    btn.dataset.i18nAttr = 'aria-label:' + (paused ? 'brands.play' : 'brands.pause');
+    translateElement(btn);
     if (pauseIcon) pauseIcon.style.display = paused ? 'none' : '';
     if (playIcon) playIcon.style.display = paused ? '' : 'none';
   });
@@ -637,101 +1517,22 @@ function initBrandsPause() {
 // ==========================================
 // INITIALIZE EVERYTHING
 // ==========================================
-// ==========================================
-// COLOMBIA COVERAGE MAP (Leaflet)
-// ==========================================
-function initColombiaMap() {
-  var el = document.getElementById('colombiaMap');
-  if (!el || typeof L === 'undefined') return;
-
-  var isDark = document.documentElement.getAttribute('data-theme') !== 'light';
-
-  var darkTiles = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
-  var lightTiles = 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png';
-  var attr = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/">CARTO</a>';
-
-  var map = L.map(el, {
-    center: [5.5, -74.0],
-    zoom: 6,
-    scrollWheelZoom: false,
-    zoomControl: false,
-    attributionControl: true
-  });
-
-  L.control.zoom({ position: 'bottomright' }).addTo(map);
-
-  var tileLayer = L.tileLayer(isDark ? darkTiles : lightTiles, {
-    attribution: attr,
-    maxZoom: 18
-  }).addTo(map);
-
-  // Switch tiles when theme changes
-  new MutationObserver(function() {
-    var nowDark = document.documentElement.getAttribute('data-theme') !== 'light';
-    tileLayer.setUrl(nowDark ? darkTiles : lightTiles);
-  }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
-
-  var lang = document.documentElement.getAttribute('data-lang') || 'es';
-
-  var cities = [
-    { name: 'Medellín (Sede Principal)', nameEn: 'Medellín (HQ)', lat: 6.251, lng: -75.564, hq: true },
-    { name: 'Bogotá', nameEn: 'Bogotá', lat: 4.711, lng: -74.072 },
-    { name: 'Armenia', nameEn: 'Armenia', lat: 4.534, lng: -75.681 },
-    { name: 'Cali', nameEn: 'Cali', lat: 3.452, lng: -76.532 },
-    { name: 'Pereira', nameEn: 'Pereira', lat: 4.814, lng: -75.696 },
-    { name: 'Manizales', nameEn: 'Manizales', lat: 5.070, lng: -75.521 },
-    { name: 'Barranquilla', nameEn: 'Barranquilla', lat: 10.964, lng: -74.781 },
-    { name: 'Cartagena', nameEn: 'Cartagena', lat: 10.391, lng: -75.514 },
-    { name: 'Bucaramanga', nameEn: 'Bucaramanga', lat: 7.120, lng: -73.123 },
-    { name: 'Pasto', nameEn: 'Pasto', lat: 1.214, lng: -77.281 }
-  ];
-
-  var markers = [];
-
-  cities.forEach(function(city) {
-    var size = city.hq ? 20 : 14;
-    var icon = L.divIcon({
-      className: '',
-      html: '<div class="map-marker' + (city.hq ? ' map-marker--hq' : '') + '"></div>',
-      iconSize: [size, size],
-      iconAnchor: [size / 2, size / 2]
-    });
-
-    var label = lang === 'en' ? city.nameEn : city.name;
-    var marker = L.marker([city.lat, city.lng], { icon: icon })
-      .bindPopup('<strong>' + label + '</strong>' + (city.hq ? '<br><span style="color:#22d3ee;font-size:11px">Sanlufer Seguridad</span>' : ''))
-      .addTo(map);
-
-    markers.push({ marker: marker, city: city });
-
-    if (city.hq) marker.openPopup();
-  });
-
-  // Update popup labels on language change
-  new MutationObserver(function() {
-    var newLang = document.documentElement.getAttribute('data-lang') || 'es';
-    markers.forEach(function(m) {
-      var label = newLang === 'en' ? m.city.nameEn : m.city.name;
-      m.marker.setPopupContent('<strong>' + label + '</strong>' + (m.city.hq ? '<br><span style="color:#22d3ee;font-size:11px">Sanlufer Seguridad</span>' : ''));
-    });
-  }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-lang'] });
-}
-
 document.addEventListener('DOMContentLoaded', () => {
   initLanguageToggle();
   initThemeToggle();
+  initMotionToggle();
   initNavbar();
   initMobileMenu();
   initSmoothScroll();
   initContactForm();
+  initQuizHandoff();
   initBackToTop();
   initEmergencyBar();
   initUrgencyCounter();
   initSecurityQuiz();
   initDashboardTimestamps();
-  initCookieConsent();
   initPrivacyModal();
+  initRightsForm();
   initWhatsAppBilingual();
   initBrandsPause();
-  initColombiaMap();
 });
@@ -0,0 +1,233 @@
+/**
+ * Camera Overlay Engine
+ * Draws analytics overlays (bounding boxes, zones, tripwires, labels) on the
+ * dashboard cameras from a JSON scene per camera (data/scenes/*.json), so new
+ * demos need no CSS. Shapes use the image's own pixel coordinates and are
+ * drawn on an SVG layer sized like the image (cover + centred), so they stay
+ * aligned whatever the tile size, and move with the image when it pans.
+ *
+ * Scene format:
+ *   { camera, image: {width, height}, duration, still, fontSize, vars,
+ *     shapes: [{ type: 'box'|'polygon'|'line'|'label', color, label|text,
+ *                points, dashed, keyframes: [{t, x, y, w, h, opacity}] }] }
+ * Labels may be {es, en} objects and contain {var} placeholders.
+ */
+
+// ==========================================
+// SCENE MATH
+// ==========================================
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Interpolate a shape's keyframes at a point in time (linear, clamped).
+ * @param {Array<Object>} keyframes - sorted by t (seconds)
+ * @param {number} t
+ * @returns {Object} the numeric properties at t
+ */
+function sceneValueAt(keyframes, t) {
+  if (!keyframes || !keyframes.length) return {};
+  if (t <= keyframes[0].t) return keyframes[0];
+
+  for (let i = 1; i < keyframes.length; i++) {
+    const from = keyframes[i - 1];
+    const to = keyframes[i];
+    if (t > to.t) continue;
+
+    const progress = to.t === from.t ? 1 : (t - from.t) / (to.t - from.t);
+    const value = {};
+    Object.keys(to).forEach((name) => {
+      value[name] = name in from ? from[name] + (to[name] - from[name]) * progress : to[name];
+    });
+    return value;
+  }
+  return keyframes[keyframes.length - 1];
+}
+
+function sceneText(text, vars) {
+  return interpolate(String(localize(text)), vars || {});
+}
+
+// ==========================================
+// SVG LAYER
+// ==========================================
+function svgElement(name, attrs) {
+  const el = document.createElementNS(SVG_NS, name);
+  Object.keys(attrs || {}).forEach((attr) => el.setAttribute(attr, attrs[attr]));
+  return el;
+}
+
+function pointsAttr(points) {
+  return points.map((point) => point.join(',')).join(' ');
+}
+
+// A text tag with a dark backing box, placed by its top-left corner
+function sceneTag(color, fontSize) {
+  const group = svgElement('g', { class: 'cam-scene__tag' });
+  group.appendChild(svgElement('rect', { fill: 'rgba(2, 8, 23, 0.65)', stroke: color, 'vector-effect': 'non-scaling-stroke' }));
+  group.appendChild(svgElement('text', { fill: color, 'font-size': fontSize, 'dominant-baseline': 'hanging' }));
+  return group;
+}
+
+function placeTag(tag, text, x, y, fontSize) {
+  const pad = fontSize * 0.25;
+  const width = text.length * fontSize * 0.62 + pad * 2; // monospace estimate
+  const rect = tag.firstChild;
+  const label = tag.lastChild;
+
+  label.textContent = text;
+  label.setAttribute('x', x + pad);
+  label.setAttribute('y', y + pad);
+  rect.setAttribute('x', x);
+  rect.setAttribute('y', y);
+  rect.setAttribute('width', width);
+  rect.setAttribute('height', fontSize + pad * 2);
+  tag.style.display = text ? '' : 'none';
+}
+
+/**
+ * Build the SVG layer for a scene.
+ * @param {Object} scene
+ * @returns {{svg: SVGElement, draw: function(number, Object)}} draw(t, vars)
+ *   updates every shape for time t (seconds)
+ */
+function createSceneLayer(scene) {
+  const fontSize = scene.fontSize || 12;
+  const svg = svgElement('svg', {
+    class: 'cam-scene',
+    viewBox: '0 0 ' + scene.image.width + ' ' + scene.image.height,
+    preserveAspectRatio: 'xMidYMid slice',
+    'aria-hidden': 'true',
+    focusable: 'false',
+  });
+
+  const shapes = scene.shapes.map((shape) => {
+    const color = shape.color || '#22D3EE';
+    const group = svgElement('g', { class: 'cam-scene__shape cam-scene__shape--' + shape.type });
+    let outline = null;
+
+    if (shape.type === 'box') {
+      outline = svgElement('rect', { rx: 2 });
+    } else if (shape.type === 'polygon' || shape.type === 'line') {
+      outline = svgElement(shape.type === 'line' ? 'polyline' : 'polygon', { points: pointsAttr(shape.points) });
+    }
+    if (outline) {
+      outline.setAttribute('fill', shape.type === 'polygon' ? color : 'none');
+      outline.setAttribute('fill-opacity', shape.type === 'polygon' ? 0.08 : 0);
+      outline.setAttribute('stroke', color);
+      outline.setAttribute('vector-effect', 'non-scaling-stroke');
+      if (shape.dashed) outline.setAttribute('stroke-dasharray', '4 3');
+      group.appendChild(outline);
+    }
+
+    const text = shape.label || shape.text;
+    const tag = text ? sceneTag(color, fontSize) : null;
+    if (tag) group.appendChild(tag);
+    svg.appendChild(group);
+
+    return { shape: shape, group: group, outline: outline, tag: tag };
+  });
+
+  function draw(t, vars) {
+    shapes.forEach((item) => {
+      const shape = item.shape;
+      const frame = sceneValueAt(shape.keyframes, t);
+      const opacity = 'opacity' in frame ? frame.opacity : 1;
+      item.group.setAttribute('opacity', opacity);
+      item.group.style.display = opacity > 0 ? '' : 'none';
+      if (opacity <= 0) return;
+
+      // Tags sit above a box, at a polygon's first point, or where a label says
+      let tagX = frame.x !== undefined ? frame.x : shape.x;
+      let tagY = frame.y !== undefined ? frame.y : shape.y;
+      if (shape.type === 'box') {
+        item.outline.setAttribute('x', frame.x);
+        item.outline.setAttribute('y', frame.y);
+        item.outline.setAttribute('width', frame.w);
+        item.outline.setAttribute('height', frame.h);
+        tagY = frame.y - fontSize * 1.6;
+      } else if (shape.points) {
+        tagX = shape.points[0][0];
+        tagY = shape.points[0][1] - fontSize * 1.6;
+      }
+
+      if (item.tag) placeTag(item.tag, sceneText(shape.label || shape.text, vars), tagX, tagY, fontSize);
+    });
+  }
+
+  return { svg: svg, draw: draw };
+}
+
+// ==========================================
+// DASHBOARD CAMERAS
+// ==========================================
+function initCameraScenes() {
+  const feeds = document.querySelectorAll('[data-scene]');
+  if (!feeds.length) return;
+
+  const players = [];
+  let running = false;
+  let frame = null;
+
+  function drawAll(now) {
+    players.forEach((player) => {
+      const t = isMotionReduced() ? player.scene.still || 0 : (now / 1000) % player.scene.duration;
+      player.layer.draw(t, player.vars);
+    });
+  }
+
+  function tick(now) {
+    drawAll(now);
+    frame = running ? requestAnimationFrame(tick) : null;
+  }
+
+  function play() {
+    if (isMotionReduced()) drawAll(0);
+    else if (running && !frame) frame = requestAnimationFrame(tick);
+  }
+
+  feeds.forEach((feed) => {
+    fetch(feed.dataset.scene).then((response) => {
+      if (!response.ok) throw new Error('Scene unavailable: ' + response.status);
+      return response.json();
+    }).then((scene) => {
+      const layer = createSceneLayer(scene);
+      (feed.querySelector('.dashboard__cam-scene') || feed).appendChild(layer.svg);
+      players.push({ camera: scene.camera, scene: scene, layer: layer, vars: Object.assign({}, scene.vars) });
+      play();
+    }).catch(() => {
+      // The camera keeps its image without overlays
+    });
+  });
+
+  // Only animate while the dashboard is on screen; reduced motion shows stills
+  registerAnimation({
+    element: feeds[0].closest('.dashboard') || feeds[0],
+    start() {
+      running = true;
+      play();
+    },
+    stop() {
+      running = false;
+      cancelAnimationFrame(frame);
+      frame = null;
+      if (isMotionReduced()) drawAll(0);
+    },
+  });
+
+  // Scripted dashboard events update scene values (e.g. the plate an LPR box reads)
+  document.addEventListener('sanlufer:dashboard-event', (e) => {
+    const event = e.detail;
+    players.forEach((player) => {
+      if (player.camera === event.cam && event.plate) player.vars.plate = event.plate;
+    });
+    if (isMotionReduced()) drawAll(0);
+  });
+
+  document.addEventListener('sanlufer:lang', () => {
+    if (isMotionReduced()) drawAll(0);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initCameraScenes();
+});
@@ -0,0 +1,91 @@
+/**
+ * Offline Support (service worker)
+ * Registers sw.js, offers a reload when a new version has been downloaded,
+ * and connects the worker to the lead outbox: queued submissions ask for a
+ * background sync, and the worker asks the page to flush the outbox when the
+ * connection is back.
+ */
+
+// ==========================================
+// SERVICE WORKER
+// ==========================================
+const SW_URL = 'sw.js';
+const OUTBOX_SYNC_TAG = 'sanlufer-outbox';
+
+function initServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+  const prompt = document.getElementById('updatePrompt');
+  let registration = null;
+  let accepted = false;
+  let reloading = false;
+
+  // ---- Update prompt ----
+  function showPrompt() {
+    if (!prompt) return;
+    prompt.hidden = false;
+    requestAnimationFrame(() => prompt.classList.add('visible'));
+  }
+
+  function hidePrompt() {
+    prompt.classList.remove('visible');
+    prompt.hidden = true;
+  }
+
+  // A new worker waiting while this page is controlled by the old one
+  function watchForUpdate(reg) {
+    if (reg.waiting && navigator.serviceWorker.controller) showPrompt();
+
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showPrompt();
+      });
+    });
+  }
+
+  if (prompt) {
+    document.getElementById('updateReload').addEventListener('click', () => {
+      hidePrompt();
+      accepted = true;
+      if (registration && registration.waiting) registration.waiting.postMessage({ type: 'skip-waiting' });
+      else location.reload();
+    });
+    document.getElementById('updateLater').addEventListener('click', hidePrompt);
+  }
+
+  // The new worker took over after the visitor accepted: reload once so page and cache match
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!accepted || reloading) return;
+    reloading = true;
+    location.reload();
+  });
+
+  // ---- Outbox ----
+  function requestOutboxSync() {
+    if (registration && registration.sync && getOutbox().length) {
+      registration.sync.register(OUTBOX_SYNC_TAG).catch(() => {
+        // No background sync: the "online" listener in js/transport.js retries instead
+      });
+    }
+  }
+
+  document.addEventListener('sanlufer:outbox', requestOutboxSync);
+
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'flush-outbox') flushOutbox();
+  });
+
+  navigator.serviceWorker.register(SW_URL).then((reg) => {
+    registration = reg;
+    watchForUpdate(reg);
+    requestOutboxSync();
+  }).catch(() => {
+    // The site works as before without offline support
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initServiceWorker();
+});
@@ -0,0 +1,270 @@
+/**
+ * Quote Builder
+ * Multi-step estimator (devices, environment, recording days, cabling, city)
+ * that prices a job from data/quote-prices.json and attaches the result,
+ * line by line, to the contact form as hidden fields.
+ */
+
+// ==========================================
+// ESTIMATE
+// ==========================================
+/**
+ * Price a job from the price table.
+ * @param {Object} prices - contents of data/quote-prices.json
+ * @param {{cameras: number, access: number, environment: string, days: number, metres: number|null, city: string}} input
+ *   metres may be null to use the default cabling per device
+ * @returns {{lines: Array<{id: string, amount: number}>, total: number, min: number, max: number, metres: number}}
+ *   line ids match the quote.line.* messages
+ */
+function estimateQuote(prices, input) {
+  const lines = [];
+  const devices = input.cameras + input.access;
+  const metres = input.metres === null ? devices * prices.defaultMetresPerDevice : input.metres;
+
+  function add(id, amount) {
+    if (amount > 0) lines.push({ id: id, amount: amount });
+  }
+
+  if (input.cameras > 0) {
+    const recorder = prices.recorder;
+    const extraChannels = Math.max(0, input.cameras - recorder.channelsIncluded);
+    add('cameras', input.cameras * prices.camera[input.environment]);
+    add('recorder', recorder.base + extraChannels * recorder.perExtraChannel);
+    add('storage', input.cameras * input.days * prices.storagePerCameraDay);
+  }
+
+  if (input.access > 0) {
+    add('access', input.access * prices.accessPoint + prices.accessController);
+  }
+
+  add('cabling', metres * prices.cablingPerMetre);
+  add('travel', input.city in prices.travel ? prices.travel[input.city] : prices.travelDefault);
+
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  const round = (value) => Math.round(value / prices.roundTo) * prices.roundTo;
+
+  return {
+    lines: lines,
+    total: total,
+    min: round(total * (1 - prices.variance)),
+    max: round(total * (1 + prices.variance)),
+    metres: metres,
+  };
+}
+
+// ==========================================
+// QUOTE BUILDER WIZARD
+// ==========================================
+function initQuoteBuilder() {
+  const builder = document.getElementById('quoteBuilder');
+  if (!builder) return;
+
+  const steps = builder.querySelectorAll('.quote-builder__step');
+  const progress = document.getElementById('quoteProgress');
+  const result = document.getElementById('quoteResult');
+  const error = document.getElementById('quoteError');
+  const backBtn = document.getElementById('quoteBack');
+  const nextBtn = document.getElementById('quoteNext');
+  const citySelect = document.getElementById('quoteCity');
+  const contactForm = document.getElementById('contactForm');
+
+  const total = steps.length;
+  let current = 1;
+  let estimate = null;
+  let estimateInput = null;
+  let pricesUpdated = '';
+  let pricesCurrency = 'COP';
+  let errorKey = null;
+
+  const prices = fetch(builder.dataset.prices || 'data/quote-prices.json').then((response) => {
+    if (!response.ok) throw new Error('Price table unavailable: ' + response.status);
+    return response.json();
+  });
+  // A failure is reported when the estimate is asked for (showResult)
+  prices.catch(() => {});
+
+  function renderCities() {
+    const selected = citySelect.value || 'medellin';
+    citySelect.innerHTML = COVERAGE_CITIES.map((city) =>
+      '<option value="' + city.id + '">' + escapeHTML(city.name) + '</option>'
+    ).join('') + '<option value="otra">' + escapeHTML(t('quote.other-city')) + '</option>';
+    citySelect.value = selected;
+  }
+
+  function setError(key) {
+    errorKey = key;
+    error.textContent = key ? t(key) : '';
+  }
+
+  function readInteger(name) {
+    const value = builder.elements[name].value.trim();
+    return value === '' ? null : Number(value);
+  }
+
+  function readInput() {
+    return {
+      cameras: readInteger('cameras') || 0,
+      access: readInteger('access') || 0,
+      environment: builder.querySelector('input[name="environment"]:checked').value,
+      days: Number(builder.elements.days.value),
+      metres: readInteger('metres'),
+      city: citySelect.value,
+    };
+  }
+
+  function isWholeNumber(value, max) {
+    return value === null || (Number.isInteger(value) && value >= 0 && value <= max);
+  }
+
+  function validateStep(n) {
+    if (n === 1) {
+      const cameras = readInteger('cameras');
+      const access = readInteger('access');
+      if (!isWholeNumber(cameras, 500) || !isWholeNumber(access, 100)) {
+        return 'quote.error.quantities';
+      }
+      if (!cameras && !access) {
+        return 'quote.error.empty';
+      }
+    }
+    if (n === 4 && !isWholeNumber(readInteger('metres'), 20000)) {
+      return 'quote.error.metres';
+    }
+    return null;
+  }
+
+  function updateNav() {
+    const showingResult = current > total;
+    progress.textContent = showingResult ? total + ' / ' + total : current + ' / ' + total;
+    backBtn.hidden = current === 1;
+    nextBtn.hidden = showingResult;
+    nextBtn.innerHTML = i18nHTML(current === total ? 'quote.see-estimate' : 'quote.next');
+  }
+
+  function showStep(n) {
+    current = n;
+    steps.forEach((step) => step.classList.toggle('quote-builder__step--active', Number(step.dataset.step) === n));
+    result.classList.remove('active');
+    setError(null);
+    updateNav();
+
+    const field = steps[n - 1].querySelector('input:checked, input, select');
+    if (field) field.focus();
+  }
+
+  function cityName(cityId) {
+    const city = COVERAGE_CITIES.find((c) => c.id === cityId);
+    return city ? city.name : t('quote.other-city');
+  }
+
+  function lineDetail(id) {
+    const input = estimateInput;
+    switch (id) {
+      case 'cameras': return formatNumber(input.cameras) + ' × ' + t('quote.env.' + input.environment);
+      case 'recorder': return t('quote.detail.channels', { count: input.cameras });
+      case 'storage': return t('quote.detail.days', { count: input.days });
+      case 'access': return t('quote.detail.points', { count: input.access });
+      case 'cabling': return formatNumber(estimate.metres) + ' m';
+      case 'travel': return cityName(input.city);
+    }
+    return '';
+  }
+
+  function renderResult() {
+    const rows = estimate.lines.map((line) =>
+      '<li><span>' + escapeHTML(t('quote.line.' + line.id)) + ' <small>' + escapeHTML(lineDetail(line.id)) + '</small></span>' +
+      '<strong>' + formatCurrency(line.amount, pricesCurrency) + '</strong></li>'
+    ).join('');
+    const updated = formatDate(new Date(pricesUpdated + 'T00:00:00Z'), { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    result.innerHTML =
+      '<p class="quote-builder__range-label">' + escapeHTML(t('quote.range')) + '</p>' +
+      '<p class="quote-builder__range">' + formatCurrency(estimate.min, pricesCurrency) + ' – ' + formatCurrency(estimate.max, pricesCurrency) + '</p>' +
+      '<ul class="quote-builder__lines">' + rows + '</ul>' +
+      '<p class="quote-builder__note">' + escapeHTML(t('quote.note', { date: updated })) + '</p>';
+  }
+
+  // Attach the estimate to the contact form so the lead carries it
+  function attachToContactForm() {
+    if (!contactForm) return;
+    const input = estimateInput;
+
+    // Lead fields are always in Spanish for the sales team
+    setHiddenField(contactForm, 'cotizador_rango', formatCurrency(estimate.min, pricesCurrency, 'es') + ' - ' + formatCurrency(estimate.max, pricesCurrency, 'es'));
+    setHiddenField(contactForm, 'cotizador_detalle', 'cámaras=' + input.cameras + '; acceso=' + input.access +
+      '; entorno=' + input.environment + '; grabación=' + input.days + ' días; cable=' + estimate.metres + ' m');
+    setHiddenField(contactForm, 'cotizador_ciudad', input.city === 'otra' ? t('quote.other-city', null, 'es') : cityName(input.city));
+    setHiddenField(contactForm, 'cotizador_desglose', estimate.lines.map((line) =>
+      t('quote.line.' + line.id, null, 'es') + ': ' + formatCurrency(line.amount, pricesCurrency, 'es')
+    ).concat('Total: ' + formatCurrency(estimate.total, pricesCurrency, 'es')).join('; '));
+
+    const servicio = contactForm.querySelector('#servicio');
+    if (servicio && !servicio.value) servicio.value = input.cameras > 0 ? 'videovigilancia' : 'automatizacion';
+  }
+
+  function showResult() {
+    const input = readInput();
+    nextBtn.disabled = true;
+
+    prices.then((table) => {
+      estimate = estimateQuote(table, input);
+      estimateInput = input;
+      pricesUpdated = table.updated;
+      pricesCurrency = table.currency || 'COP';
+
+      current = total + 1;
+      steps.forEach((step) => step.classList.remove('quote-builder__step--active'));
+      renderResult();
+      result.classList.add('active');
+      attachToContactForm();
+      updateNav();
+      backBtn.focus();
+    }).catch(() => {
+      setError('quote.error.prices');
+    }).then(() => {
+      nextBtn.disabled = false;
+    });
+  }
+
+  builder.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (current > total) return;
+
+    const message = validateStep(current);
+    setError(message);
+    if (message) return;
+
+    if (current === total) showResult();
+    else showStep(current + 1);
+  });
+
+  backBtn.addEventListener('click', () => {
+    showStep(current > total ? total : current - 1);
+  });
+
+  // The estimate leaves with the lead it was sent with
+  if (contactForm) {
+    contactForm.addEventListener('reset', () => {
+      ['cotizador_rango', 'cotizador_detalle', 'cotizador_ciudad', 'cotizador_desglose'].forEach((name) => {
+        setHiddenField(contactForm, name, null);
+      });
+    });
+  }
+
+  renderCities();
+  loadCoverage().then(renderCities).catch(() => {
+    // Only "other city" is offered; travel uses the default price
+  });
+  updateNav();
+
+  // Re-render the estimate and any error in the new language
+  document.addEventListener('sanlufer:lang', () => {
+    renderCities();
+    if (estimate && current > total) renderResult();
+    if (errorKey) setError(errorKey);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initQuoteBuilder();
+});
@@ -0,0 +1,270 @@
+/**
+ * Testimonials
+ * Client reviews from data/testimonials.json in a rotating carousel: one
+ * review at a time, a pause button (like the brands carousel), previous/next
+ * and dot controls, arrow keys, and a sector filter. Rotation stops while the
+ * pointer or focus is inside, the carousel is off screen or the page hidden,
+ * and starts paused under reduced motion. The reviews are also published as
+ * Review/AggregateRating structured data on the LocalBusiness node.
+ */
+
+// ==========================================
+// REVIEW DATA
+// ==========================================
+const TESTIMONIALS_URL = 'data/testimonials.json';
+const TESTIMONIALS_ROTATE_MS = 8000;
+const TESTIMONIALS_BEST_RATING = 5;
+
+/**
+ * Average rating of a list of testimonials, rounded to one decimal.
+ * @param {Array<{rating: number}>} items
+ * @returns {number}
+ */
+function averageRating(items) {
+  if (!items.length) return 0;
+  const sum = items.reduce((total, item) => total + item.rating, 0);
+  return Math.round((sum / items.length) * 10) / 10;
+}
+
+// Review and AggregateRating merged into the LocalBusiness block through its @id
+function buildReviewSchema(items, lang) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'LocalBusiness',
+    '@id': 'https://sanluferseguridad.com/#organization',
+    'name': 'Sanlufer Seguridad',
+    'aggregateRating': {
+      '@type': 'AggregateRating',
+      'ratingValue': averageRating(items),
+      'bestRating': TESTIMONIALS_BEST_RATING,
+      'reviewCount': items.length,
+    },
+    'review': items.map((item) => ({
+      '@type': 'Review',
+      'author': { '@type': 'Person', 'name': item.name },
+      'reviewRating': { '@type': 'Rating', 'ratingValue': item.rating, 'bestRating': TESTIMONIALS_BEST_RATING },
+      'reviewBody': localize(item.text, lang),
+      'inLanguage': lang,
+    })),
+  };
+}
+
+function renderReviewSchema(items) {
+  let script = document.getElementById('testimonialsSchema');
+  if (!script) {
+    script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = 'testimonialsSchema';
+    document.head.appendChild(script);
+  }
+  script.textContent = JSON.stringify(buildReviewSchema(items, getLang()));
+}
+
+function getInitials(name) {
+  return name.split(/\s+/).slice(0, 2).map((part) => part.charAt(0)).join('').toUpperCase();
+}
+
+// ==========================================
+// CAROUSEL
+// ==========================================
+function initTestimonials() {
+  const carousel = document.getElementById('testimonialsCarousel');
+  if (!carousel) return;
+
+  const slidesEl = carousel.querySelector('.testimonials__slides');
+  const dotsEl = carousel.querySelector('.testimonials__dots');
+  const pauseBtn = document.getElementById('testimonialsPause');
+  const prevBtn = document.getElementById('testimonialsPrev');
+  const nextBtn = document.getElementById('testimonialsNext');
+  const filterEl = document.getElementById('testimonialsFilter');
+  const summaryEl = document.getElementById('testimonialsSummary');
+
+  let data = null;
+  let visible = [];
+  let current = 0;
+  let sector = '';
+  let paused = isMotionReduced();
+  let chosen = false; // the visitor pressed pause/play, which outranks the motion preference
+  let holding = false;            // pointer or focus inside
+  let onScreen = false;           // as told by the motion controller
+  let timer = null;
+
+  // ---- Rendering ----
+  function slideHTML(item, index) {
+    const stars = '★'.repeat(item.rating) + '☆'.repeat(TESTIMONIALS_BEST_RATING - item.rating);
+    return '<article class="testimonial-card glass-card" role="group" aria-roledescription="' + escapeHTML(t('testimonials.slide-role')) + '"' +
+      ' aria-label="' + escapeHTML(t('testimonials.slide', { n: index + 1, total: visible.length })) + '"' +
+      (index === current ? '' : ' hidden') + '>' +
+      '<div class="testimonial-card__stars" role="img" aria-label="' + escapeHTML(t('testimonials.stars', { rating: item.rating })) + '">' + stars + '</div>' +
+      '<blockquote>"' + escapeHTML(localize(item.text)) + '"</blockquote>' +
+      '<div class="testimonial-card__author">' +
+        '<div class="testimonial-card__avatar" aria-hidden="true">' + escapeHTML(getInitials(item.name)) + '</div>' +
+        '<div><strong>' + escapeHTML(item.name) + '</strong>' +
+        '<span>' + escapeHTML(localize(item.role) + ', ' + item.company + ' · ' + item.city) + '</span></div>' +
+      '</div>' +
+    '</article>';
+  }
+
+  function renderSlides() {
+    slidesEl.innerHTML = visible.map(slideHTML).join('');
+    dotsEl.innerHTML = visible.map((item, i) =>
+      '<button type="button" class="testimonials__dot" data-slide="' + i + '"' +
+      ' aria-label="' + escapeHTML(t('testimonials.goto', { n: i + 1 })) + '"' +
+      (i === current ? ' aria-current="true"' : '') + '></button>'
+    ).join('');
+
+    const single = visible.length < 2;
+    prevBtn.hidden = single;
+    nextBtn.hidden = single;
+    pauseBtn.hidden = single;
+    dotsEl.hidden = single;
+  }
+
+  function renderFilter() {
+    if (!filterEl) return;
+    const options = [{ id: '', label: t('testimonials.all') }].concat(data.sectors
+      .filter((s) => data.testimonials.some((item) => item.sector === s.id))
+      .map((s) => ({ id: s.id, label: localize(s) })));
+    filterEl.innerHTML = options.map((option) =>
+      '<button type="button" class="testimonials__sector" data-sector="' + escapeHTML(option.id) + '"' +
+      ' aria-pressed="' + (option.id === sector ? 'true' : 'false') + '">' + escapeHTML(option.label) + '</button>'
+    ).join('');
+  }
+
+  function renderSummary() {
+    if (!summaryEl) return;
+    summaryEl.textContent = t('testimonials.summary', {
+      rating: formatNumber(averageRating(data.testimonials), { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+      count: data.testimonials.length,
+    });
+  }
+
+  function render() {
+    renderFilter();
+    renderSlides();
+    renderSummary();
+    renderReviewSchema(data.testimonials);
+  }
+
+  // ---- Navigation ----
+  function show(index, focus) {
+    if (!visible.length) return;
+    current = (index + visible.length) % visible.length;
+    slidesEl.querySelectorAll('.testimonial-card').forEach((slide, i) => { slide.hidden = i !== current; });
+    dotsEl.querySelectorAll('.testimonials__dot').forEach((dot, i) => {
+      if (i === current) dot.setAttribute('aria-current', 'true');
+      else dot.removeAttribute('aria-current');
+    });
+    if (focus) dotsEl.querySelectorAll('.testimonials__dot')[current].focus();
+  }
+
+  function setSector(id) {
+    sector = id;
+    visible = data.testimonials.filter((item) => !sector || item.sector === sector);
+    current = 0;
+    if (filterEl) {
+      filterEl.querySelectorAll('[data-sector]').forEach((btn) => {
+        btn.setAttribute('aria-pressed', btn.dataset.sector === sector ? 'true' : 'false');
+      });
+    }
+    renderSlides();
+  }
+
+  // ---- Rotation ----
+  function updateRotation() {
+    const rotating = !paused && !holding && onScreen && visible.length > 1;
+    // Announce changes only when they are the visitor's doing
+    slidesEl.setAttribute('aria-live', rotating ? 'off' : 'polite');
+    if (rotating && !timer) timer = setInterval(() => show(current + 1), TESTIMONIALS_ROTATE_MS);
+    if (!rotating && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  function setPaused(value) {
+    paused = value;
+    pauseBtn.dataset.i18nAttr = 'aria-label:' + (paused ? 'testimonials.play' : 'testimonials.pause');
+    translateElement(pauseBtn);
+    pauseBtn.querySelector('.testimonials__pause-icon').style.display = paused ? 'none' : '';
+    pauseBtn.querySelector('.testimonials__play-icon').style.display = paused ? '' : 'none';
+    updateRotation();
+  }
+
+  // Not decorative: under reduced motion the visitor may still press play
+  registerAnimation({
+    element: carousel,
+    decorative: false,
+    start() {
+      onScreen = true;
+      updateRotation();
+    },
+    stop() {
+      onScreen = false;
+      updateRotation();
+    },
+  });
+
+  document.addEventListener('sanlufer:motion', (e) => {
+    if (!chosen) setPaused(e.detail.reduced);
+  });
+
+  pauseBtn.addEventListener('click', () => {
+    chosen = true;
+    setPaused(!paused);
+  });
+  prevBtn.addEventListener('click', () => show(current - 1));
+  nextBtn.addEventListener('click', () => show(current + 1));
+
+  dotsEl.addEventListener('click', (e) => {
+    const dot = e.target.closest('[data-slide]');
+    if (dot) show(parseInt(dot.dataset.slide, 10));
+  });
+
+  if (filterEl) {
+    filterEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-sector]');
+      if (!btn) return;
+      setSector(btn.dataset.sector);
+      updateRotation();
+    });
+  }
+
+  // Arrow keys anywhere in the carousel
+  carousel.addEventListener('keydown', (e) => {
+    let target = null;
+    if (e.key === 'ArrowRight') target = current + 1;
+    else if (e.key === 'ArrowLeft') target = current - 1;
+    else if (e.key === 'Home') target = 0;
+    else if (e.key === 'End') target = visible.length - 1;
+    if (target === null) return;
+    e.preventDefault();
+    show(target, true);
+  });
+
+  carousel.addEventListener('mouseenter', () => { holding = true; updateRotation(); });
+  carousel.addEventListener('mouseleave', () => { holding = carousel.contains(document.activeElement); updateRotation(); });
+  carousel.addEventListener('focusin', () => { holding = true; updateRotation(); });
+  carousel.addEventListener('focusout', (e) => {
+    holding = carousel.contains(e.relatedTarget) || carousel.matches(':hover');
+    updateRotation();
+  });
+
+  fetch(TESTIMONIALS_URL).then((response) => {
+    if (!response.ok) throw new Error('Testimonials unavailable: ' + response.status);
+    return response.json();
+  }).then((json) => {
+    data = json;
+    visible = data.testimonials.slice();
+    render();
+    setPaused(paused);
+    document.addEventListener('sanlufer:lang', render);
+  }).catch(() => {
+    slidesEl.innerHTML = '<p class="testimonials__empty">' + i18nHTML('testimonials.load-error') + '</p>';
+    carousel.querySelector('.testimonials__controls').hidden = true;
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initTestimonials();
+});
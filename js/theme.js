@@ -0,0 +1,110 @@
+/**
+ * Theme
+ * Light, dark or "system" (follows the OS colour scheme live), saved as the
+ * visitor's preference, plus a high-contrast variant for prefers-contrast:
+ * more. Every change is announced once as "sanlufer:theme", so the map
+ * tiles, the theme-color meta and other themed code update from one source.
+ *
+ * The head script in index.html applies the same rules before the CSS loads.
+ */
+
+// ==========================================
+// PREFERENCE
+// ==========================================
+const THEME_STORAGE_KEY = 'sanlufer-theme';
+const THEME_PREFERENCES = ['system', 'light', 'dark'];
+
+// Browser UI colour per theme (normal, high contrast)
+const THEME_COLORS = {
+  dark: { normal: '#0B1120', more: '#000000' },
+  light: { normal: '#F8FAFC', more: '#FFFFFF' },
+};
+
+let themePreference = 'system';
+
+function getThemePreference() {
+  return themePreference;
+}
+
+// The theme in use: 'light' or 'dark'
+function getTheme() {
+  return document.documentElement.getAttribute('data-theme') === 'light' ? 'light' : 'dark';
+}
+
+function isHighContrast() {
+  return document.documentElement.getAttribute('data-contrast') === 'more';
+}
+
+function resolveTheme(preference) {
+  if (preference !== 'system') return preference;
+  return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+// ==========================================
+// APPLYING THE THEME
+// ==========================================
+
+// Set the page attributes from the preference and the OS settings; fires
+// "sanlufer:theme" ({theme, preference, contrast, previous}) when anything changed
+function applyTheme() {
+  const html = document.documentElement;
+  const previous = { theme: getTheme(), preference: html.getAttribute('data-theme-pref'), contrast: isHighContrast() };
+  const theme = resolveTheme(themePreference);
+  const contrast = window.matchMedia('(prefers-contrast: more)').matches;
+
+  html.setAttribute('data-theme', theme);
+  html.setAttribute('data-theme-pref', themePreference);
+  if (contrast) html.setAttribute('data-contrast', 'more');
+  else html.removeAttribute('data-contrast');
+
+  if (theme !== previous.theme || themePreference !== previous.preference || contrast !== previous.contrast) {
+    document.dispatchEvent(new CustomEvent('sanlufer:theme', {
+      detail: { theme: theme, preference: themePreference, contrast: contrast, previous: previous.theme },
+    }));
+  }
+}
+
+/**
+ * Switch the theme preference.
+ * @param {string} preference - 'system', 'light' or 'dark'
+ * @param {{save: boolean}} [options] - save: false to not store the choice
+ * @returns {boolean} false for an unknown preference
+ */
+function setTheme(preference, options) {
+  if (THEME_PREFERENCES.indexOf(preference) === -1) return false;
+
+  themePreference = preference;
+  // Stored only if the visitor allowed the "preferences" cookie category
+  if ((!options || options.save !== false) && hasConsent('preferences')) {
+    if (preference === 'system') localStorage.removeItem(THEME_STORAGE_KEY);
+    else localStorage.setItem(THEME_STORAGE_KEY, preference);
+  }
+  applyTheme();
+  return true;
+}
+
+// Browser chrome follows the page, whichever media query the meta tags carry
+function updateThemeColor() {
+  const color = THEME_COLORS[getTheme()][isHighContrast() ? 'more' : 'normal'];
+  document.querySelectorAll('meta[name="theme-color"]').forEach((meta) => meta.setAttribute('content', color));
+}
+
+function initTheme() {
+  const saved = localStorage.getItem(THEME_STORAGE_KEY);
+  themePreference = THEME_PREFERENCES.indexOf(saved) !== -1 ? saved : 'system';
+
+  // Follow OS changes live; with a fixed light/dark choice only contrast matters
+  ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach((query) => {
+    const media = window.matchMedia(query);
+    if (media.addEventListener) media.addEventListener('change', applyTheme);
+    else if (media.addListener) media.addListener(applyTheme);
+  });
+
+  document.addEventListener('sanlufer:theme', updateThemeColor);
+  applyTheme();
+  updateThemeColor();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initTheme();
+});
@@ -0,0 +1,249 @@
+/**
+ * Lead Submission Transport
+ * Swappable back ends (FormSubmit, JSON webhook, own API) for the site's forms,
+ * plus a localStorage outbox that retries failed submissions once back online.
+ * Only network errors and 5xx responses are queued; a 4xx means the back end
+ * refused the lead and is reported to the visitor. Queued leads hold personal
+ * data, so they are dropped after OUTBOX_MAX_ATTEMPTS tries or OUTBOX_TTL_MS.
+ *
+ * A form picks its back end with data-transport and data-endpoint, e.g.
+ *   <form data-transport="webhook" data-endpoint="http://localhost:8787/leads">
+ * tools/mock-lead-server.js serves that endpoint locally; the outbox is
+ * tested against it in test/transport.test.js (node --test test/).
+ */
+
+// ==========================================
+// TRANSPORTS
+// ==========================================
+const OUTBOX_KEY = 'sanlufer-outbox';
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// FormSubmit control fields (_subject, _captcha, _honey...) are only meaningful there
+function stripControlFields(fields) {
+  const clean = {};
+  Object.keys(fields).forEach((name) => {
+    if (name.charAt(0) !== '_') clean[name] = fields[name];
+  });
+  return clean;
+}
+
+function postJSON(endpoint, payload) {
+  return fetch(endpoint, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+  });
+}
+
+const LEAD_TRANSPORTS = {
+  // FormSubmit.co AJAX endpoint (verify email on first submission — no account needed)
+  formsubmit: (endpoint, fields) => {
+    const body = new FormData();
+    Object.keys(fields).forEach((name) => body.append(name, fields[name]));
+    return fetch(endpoint, {
+      method: 'POST',
+      body: body,
+      headers: { 'Accept': 'application/json' }
+    });
+  },
+
+  // Any endpoint that accepts the flat field map as JSON (Zapier, Make, n8n...)
+  webhook: (endpoint, fields) => postJSON(endpoint, stripControlFields(fields)),
+
+  // Our own endpoint: fields wrapped with metadata about the submission
+  api: (endpoint, fields, meta) => postJSON(endpoint, {
+    source: location.hostname || 'sanluferseguridad.com',
+    form: meta.form,
+    submittedAt: meta.createdAt,
+    lang: getLang(),
+    fields: stripControlFields(fields),
+  }),
+};
+
+/**
+ * Read the transport configuration of a form (or any element).
+ * @param {HTMLElement} el - element carrying data-transport / data-endpoint
+ * @returns {{type: string, endpoint: string, form: string}}
+ */
+function getTransportConfig(el) {
+  return {
+    type: el.dataset.transport || 'formsubmit',
+    endpoint: el.dataset.endpoint || 'https://formsubmit.co/ajax/ernesto.diaz@sanluferseguridad.com',
+    form: el.id || 'form',
+  };
+}
+
+/**
+ * Flatten FormData into a plain object that can be stored and re-sent.
+ * Repeated names are joined with ", ".
+ * @param {FormData} formData
+ * @returns {Object<string, string>}
+ */
+function formDataToFields(formData) {
+  const fields = {};
+  formData.forEach((value, name) => {
+    if (typeof value !== 'string') return;
+    fields[name] = name in fields ? fields[name] + ', ' + value : value;
+  });
+  return fields;
+}
+
+/**
+ * Send a lead through the configured transport.
+ * @param {Object} config - from getTransportConfig()
+ * @param {Object} fields - from formDataToFields()
+ * @param {string} [createdAt] - ISO time the lead was first submitted
+ * @returns {Promise<Response>} rejects on network errors and non-2xx responses;
+ *   for the latter the error carries the response status
+ */
+function sendLead(config, fields, createdAt) {
+  const transport = LEAD_TRANSPORTS[config.type];
+  if (!transport) return Promise.reject(new Error('Unknown transport: ' + config.type));
+
+  return transport(config.endpoint, fields, {
+    form: config.form,
+    createdAt: createdAt || new Date().toISOString(),
+  }).then((response) => {
+    if (!response.ok) {
+      const error = new Error('Submission failed with status ' + response.status);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  });
+}
+
+/**
+ * Whether a failed submission is worth retrying later: the network failed
+ * or the server did. A 4xx will be refused again, so it is not.
+ * @param {Error} error - from sendLead()
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  return !error.status || error.status >= 500;
+}
+
+// ==========================================
+// OUTBOX (queued submissions)
+// ==========================================
+function getOutbox() {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Store the outbox and announce it.
+ * @param {Object[]} entries
+ * @param {number} [dropped] - leads given up on in this change
+ */
+function saveOutbox(entries, dropped) {
+  if (entries.length) localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+  else localStorage.removeItem(OUTBOX_KEY);
+  document.dispatchEvent(new CustomEvent('sanlufer:outbox', { detail: { pending: entries.length, dropped: dropped || 0 } }));
+}
+
+function isOutboxEntryExpired(entry, now) {
+  return entry.attempts >= OUTBOX_MAX_ATTEMPTS || now - Date.parse(entry.createdAt) > OUTBOX_TTL_MS;
+}
+
+/**
+ * Drop queued leads that used up their attempts or outlived OUTBOX_TTL_MS.
+ * @returns {number} how many were dropped
+ */
+function pruneOutbox() {
+  const entries = getOutbox();
+  const now = Date.now();
+  const kept = entries.filter((entry) => !isOutboxEntryExpired(entry, now));
+  if (kept.length !== entries.length) saveOutbox(kept, entries.length - kept.length);
+  return entries.length - kept.length;
+}
+
+/**
+ * Store a lead that could not be sent; it is retried by flushOutbox().
+ * @returns {Object} the queued entry
+ */
+function queueLead(config, fields) {
+  const entries = getOutbox();
+  const entry = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    config: config,
+    fields: fields,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+  };
+  entries.push(entry);
+  saveOutbox(entries);
+  return entry;
+}
+
+let outboxFlushing = null;
+
+/**
+ * Retry every queued lead once. A lead is dropped when the back end refuses
+ * it (4xx) or when this was its last attempt. Concurrent calls share the
+ * same run.
+ * @returns {Promise<{sent: number, dropped: number, pending: number}>}
+ */
+function flushOutbox() {
+  if (outboxFlushing) return outboxFlushing;
+
+  let dropped = pruneOutbox();
+  const entries = getOutbox();
+  if (!entries.length || !navigator.onLine) return Promise.resolve({ sent: 0, dropped: dropped, pending: entries.length });
+
+  let sent = 0;
+  outboxFlushing = entries.reduce((chain, entry) => chain.then(() =>
+    sendLead(entry.config, entry.fields, entry.createdAt).then(() => {
+      sent++;
+      saveOutbox(getOutbox().filter((e) => e.id !== entry.id));
+    }).catch((error) => {
+      const attempts = entry.attempts + 1;
+      if (!isRetryableError(error) || attempts >= OUTBOX_MAX_ATTEMPTS) {
+        dropped++;
+        saveOutbox(getOutbox().filter((e) => e.id !== entry.id), 1);
+        return;
+      }
+      saveOutbox(getOutbox().map((e) => {
+        if (e.id === entry.id) e.attempts = attempts;
+        return e;
+      }));
+    })
+  ), Promise.resolve()).then(() => {
+    outboxFlushing = null;
+    return { sent: sent, dropped: dropped, pending: getOutbox().length };
+  });
+
+  return outboxFlushing;
+}
+
+/**
+ * Send a lead, queueing it in the outbox when the browser is offline, the
+ * network fails or the server errors (5xx).
+ * @returns {Promise<{status: string, code: (number|undefined)}>} status is
+ *   'sent', 'queued' or 'rejected' (a 4xx, with its status as code)
+ */
+function submitLead(config, fields) {
+  const queue = () => {
+    queueLead(config, fields);
+    return { status: 'queued' };
+  };
+
+  if (!navigator.onLine) return Promise.resolve(queue());
+  return sendLead(config, fields).then(() => ({ status: 'sent' }), (error) => {
+    if (isRetryableError(error)) return queue();
+    return { status: 'rejected', code: error.status };
+  });
+}
+
+function initOutbox() {
+  window.addEventListener('online', flushOutbox);
+  flushOutbox();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initOutbox();
+});
@@ -0,0 +1,201 @@
+/**
+ * Form Validation
+ * Field rules, Colombian phone formats and translated inline errors
+ * (linked with aria-describedby) that follow the page language.
+ */
+
+// ==========================================
+// MESSAGES (i18n keys)
+// ==========================================
+const VALIDATION_MESSAGES = {
+  required: () => ({ key: 'validation.required' }),
+  minLength: (n) => ({ key: 'validation.min-length', params: { n: n } }),
+  maxLength: (n) => ({ key: 'validation.max-length', params: { n: n } }),
+  name: () => ({ key: 'validation.name' }),
+  email: () => ({ key: 'validation.email' }),
+  phone: () => ({ key: 'validation.phone' }),
+  authorization: () => ({ key: 'validation.authorization' }),
+};
+
+// ==========================================
+// FORMATS
+// ==========================================
+
+/**
+ * Normalise a Colombian phone number.
+ * Accepts spaces, dots, dashes, parentheses and the +57 / 0057 / 57 prefixes.
+ * Mobiles are 10 digits starting with 3; landlines use the national
+ * 60 + area code format (601 Bogotá, 604 Medellín, 602 Cali...).
+ * @param {string} value
+ * @returns {{type: string, national: string, e164: string, display: string}|null}
+ */
+function normalizeColombianPhone(value) {
+  let digits = String(value).replace(/[\s.\-()]/g, '');
+  if (!/^\+?\d+$/.test(digits)) return null;
+
+  digits = digits.replace(/^\+/, '');
+  if (digits.length === 14 && digits.indexOf('0057') === 0) digits = digits.slice(4);
+  else if (digits.length === 12 && digits.indexOf('57') === 0) digits = digits.slice(2);
+
+  let type = null;
+  if (/^3\d{9}$/.test(digits)) type = 'mobile';
+  else if (/^60[1-8]\d{7}$/.test(digits)) type = 'landline';
+  if (!type) return null;
+
+  return {
+    type: type,
+    national: digits,
+    e164: '+57' + digits,
+    display: '+57 ' + digits.slice(0, 3) + ' ' + digits.slice(3, 6) + ' ' + digits.slice(6),
+  };
+}
+
+const VALIDATION_FORMATS = {
+  // Letters (with accents), spaces, apostrophes, dots and hyphens
+  name: (value) => /^[A-Za-zÀ-ÖØ-öø-ÿ'.\-]+(\s+[A-Za-zÀ-ÖØ-öø-ÿ'.\-]+)*$/.test(value),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+  phone: (value) => normalizeColombianPhone(value) !== null,
+};
+
+// ==========================================
+// RULES
+// ==========================================
+const CONTACT_FORM_RULES = {
+  nombre: { required: true, minLength: 3, maxLength: 80, format: 'name' },
+  email: { required: true, maxLength: 120, format: 'email' },
+  telefono: { format: 'phone' },
+  servicio: { required: true },
+  mensaje: { minLength: 10, maxLength: 2000 },
+  autorizacion: { required: true, requiredMessage: 'authorization' },
+};
+
+// Data-subject requests (Ley 1581) from the privacy modal
+const RIGHTS_FORM_RULES = {
+  nombre: { required: true, minLength: 3, maxLength: 80, format: 'name' },
+  email: { required: true, maxLength: 120, format: 'email' },
+  solicitud: { required: true },
+  mensaje: { maxLength: 2000 },
+};
+
+const VISIT_FORM_RULES = {
+  nombre: { required: true, minLength: 3, maxLength: 80, format: 'name' },
+  email: { required: true, maxLength: 120, format: 'email' },
+  telefono: { required: true, format: 'phone' },
+  direccion: { maxLength: 160 },
+};
+
+/**
+ * Check one value against its rule.
+ * @param {string} value
+ * @param {Object} rule - required, minLength, maxLength, format; requiredMessage
+ *   names another VALIDATION_MESSAGES entry for an empty value
+ * @returns {{key: string, params: Object}|null} the error message, or null when valid
+ */
+function validateValue(value, rule) {
+  const trimmed = String(value || '').trim();
+
+  if (!trimmed) return rule.required ? VALIDATION_MESSAGES[rule.requiredMessage || 'required']() : null;
+  if (rule.minLength && trimmed.length < rule.minLength) return VALIDATION_MESSAGES.minLength(rule.minLength);
+  if (rule.maxLength && trimmed.length > rule.maxLength) return VALIDATION_MESSAGES.maxLength(rule.maxLength);
+  if (rule.format && !VALIDATION_FORMATS[rule.format](trimmed)) return VALIDATION_MESSAGES[rule.format]();
+  return null;
+}
+
+/**
+ * Attach inline validation to a form: fields are checked on blur, re-checked
+ * while typing once flagged, and errors follow the page language.
+ * @param {HTMLFormElement} form
+ * @param {Object} rules - field name → rule
+ * @returns {{validate: function(): boolean}} validate() checks every field
+ *   and focuses the first invalid one
+ */
+function createFormValidator(form, rules) {
+  const errors = {};
+
+  // Our messages replace the browser's (which use the browser locale)
+  form.setAttribute('novalidate', '');
+
+  function getErrorEl(field) {
+    const id = field.id + '-error';
+    let el = document.getElementById(id);
+    if (!el) {
+      el = document.createElement('p');
+      el.id = id;
+      el.className = 'form-error';
+      el.setAttribute('aria-live', 'polite');
+      (field.closest('.form-group') || field.parentNode).appendChild(el);
+    }
+    return el;
+  }
+
+  function render(field) {
+    const message = errors[field.name];
+    const errorEl = getErrorEl(field);
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter((id) => id && id !== errorEl.id);
+
+    errorEl.textContent = message ? t(message.key, message.params) : '';
+    field.classList.toggle('is-invalid', !!message);
+    if (message) {
+      field.setAttribute('aria-invalid', 'true');
+      describedBy.push(errorEl.id);
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+
+    if (describedBy.length) field.setAttribute('aria-describedby', describedBy.join(' '));
+    else field.removeAttribute('aria-describedby');
+  }
+
+  // An unticked checkbox counts as empty
+  function valueOf(field) {
+    return field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value;
+  }
+
+  function check(field, tidy) {
+    errors[field.name] = validateValue(valueOf(field), rules[field.name]);
+
+    // Tidy valid phone numbers into one readable format (not while typing)
+    if (tidy && !errors[field.name] && rules[field.name].format === 'phone' && field.value.trim()) {
+      field.value = normalizeColombianPhone(field.value).display;
+    }
+
+    render(field);
+    return !errors[field.name];
+  }
+
+  function fields() {
+    return Object.keys(rules).map((name) => form.elements[name]).filter(Boolean);
+  }
+
+  fields().forEach((field) => {
+    field.addEventListener('blur', () => check(field, true));
+    field.addEventListener(field.tagName === 'SELECT' || field.type === 'checkbox' ? 'change' : 'input', () => {
+      if (errors[field.name]) check(field);
+    });
+  });
+
+  form.addEventListener('reset', () => {
+    fields().forEach((field) => {
+      errors[field.name] = null;
+      render(field);
+    });
+  });
+
+  // Re-render visible messages when the language changes
+  document.addEventListener('sanlufer:lang', () => {
+    fields().forEach((field) => {
+      if (errors[field.name]) render(field);
+    });
+  });
+
+  return {
+    validate() {
+      let firstInvalid = null;
+      fields().forEach((field) => {
+        if (!check(field, true) && !firstInvalid) firstInvalid = field;
+      });
+      if (firstInvalid) firstInvalid.focus();
+      return !firstInvalid;
+    },
+  };
+}
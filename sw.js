@@ -0,0 +1,165 @@
+/**
+ * Service Worker
+ * Precaches the page, styles, scripts, data files and camera images so the
+ * site keeps working on bad connections. Map tiles and the Leaflet/Google
+ * Fonts files are served stale-while-revalidate; navigations fall back to the
+ * cached page, then to the bilingual offline.html.
+ *
+ * Form submissions (POST) are never intercepted: the outbox in
+ * js/transport.js queues them, and a background sync asks the open pages to
+ * flush it once the connection is back (js/pwa.js).
+ *
+ * Bump SW_VERSION whenever a precached file changes; visitors then get the
+ * "new version" prompt instead of a silent mix of old and new files.
+ */
+
+const SW_VERSION = 'v19';
+const PRECACHE = 'sanlufer-precache-' + SW_VERSION;
+const RUNTIME = 'sanlufer-runtime-' + SW_VERSION;
+const RUNTIME_LIMIT = 400; // cached tiles and third-party files
+const OUTBOX_SYNC_TAG = 'sanlufer-outbox';
+
+// Every file index.html needs offline, scripts in the order the page loads them
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'offline.html',
+  'manifest.json',
+  'css/styles.css',
+  'js/i18n.js',
+  'js/i18n/es.js',
+  'js/i18n/en.js',
+  'js/theme.js',
+  'js/consent.js',
+  'js/analytics.js',
+  'js/animations.js',
+  'js/transport.js',
+  'js/pwa.js',
+  'js/validation.js',
+  'js/quote.js',
+  'js/booking.js',
+  'js/coverage.js',
+  'js/testimonials.js',
+  'js/faq.js',
+  'js/brands.js',
+  'js/overlays.js',
+  'js/dashboard.js',
+  'js/main.js',
+  'data/quote-prices.json',
+  'data/visit-availability.json',
+  'data/coverage.json',
+  'data/testimonials.json',
+  'data/faq.json',
+  'data/brands.json',
+  'data/scenes/cam-01.json',
+  'data/scenes/cam-02.json',
+  'data/scenes/cam-03.json',
+  'data/scenes/cam-04.json',
+  'img/hero-bg.jpg',
+  'img/cams/entrance.jpg',
+  'img/cams/lobby.jpg',
+  'img/cams/parking.jpg',
+  'img/cams/perimeter.jpg',
+];
+
+// Hosts served stale-while-revalidate: CARTO map tiles, Leaflet, Google Fonts
+const RUNTIME_HOSTS = /(^|\.)basemaps\.cartocdn\.com$|^unpkg\.com$|^fonts\.(googleapis|gstatic)\.com$/;
+
+// ==========================================
+// LIFECYCLE
+// ==========================================
+self.addEventListener('install', (event) => {
+  // No skipWaiting(): an update waits until the visitor accepts the prompt
+  event.waitUntil(caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys().then((names) => Promise.all(
+    names.filter((name) => name.indexOf('sanlufer-') === 0 && name !== PRECACHE && name !== RUNTIME)
+      .map((name) => caches.delete(name))
+  )).then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+// ==========================================
+// STRATEGIES
+// ==========================================
+
+// Drop the oldest entries (caches keep insertion order)
+function trimCache(name, limit) {
+  return caches.open(name).then((cache) => cache.keys().then((keys) => {
+    if (keys.length <= limit) return null;
+    return Promise.all(keys.slice(0, keys.length - limit).map((key) => cache.delete(key)));
+  }));
+}
+
+function staleWhileRevalidate(event) {
+  return caches.open(RUNTIME).then((cache) => cache.match(event.request).then((cached) => {
+    const network = fetch(event.request).then((response) => {
+      // Opaque responses (status 0) are tiles loaded without CORS; still worth keeping
+      if (response.ok || response.type === 'opaque') {
+        return cache.put(event.request, response.clone())
+          .then(() => trimCache(RUNTIME, RUNTIME_LIMIT))
+          .then(() => response);
+      }
+      return response;
+    });
+    if (cached) {
+      event.waitUntil(network.catch(() => null));
+      return cached;
+    }
+    return network;
+  }));
+}
+
+// Pages: fresh when online, else the precached page (any ?lang=), else offline.html.
+// The page isn't re-cached here so it always matches the precached scripts.
+function networkFirstPage(request) {
+  return fetch(request).catch(() =>
+    caches.match(request, { ignoreSearch: true })
+      .then((cached) => cached || caches.match('offline.html'))
+  );
+}
+
+// Data files: fresh when online (prices, availability), cached copy otherwise
+function networkFirst(request) {
+  return fetch(request).then((response) => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(PRECACHE).then((cache) => cache.put(request, copy));
+    }
+    return response;
+  }).catch(() => caches.match(request, { ignoreSearch: true }).then((cached) => cached || Promise.reject(new Error('Offline'))));
+}
+
+function cacheFirst(request) {
+  return caches.match(request).then((cached) => cached || fetch(request));
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return; // lead submissions go to the network (and the outbox)
+
+  const url = new URL(request.url);
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (RUNTIME_HOSTS.test(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(url.pathname.indexOf('/data/') !== -1 ? networkFirst(request) : cacheFirst(request));
+  }
+});
+
+// ==========================================
+// OUTBOX SYNC
+// ==========================================
+// The outbox lives in the page's localStorage, so the pages do the sending
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+    clients.forEach((client) => client.postMessage({ type: 'flush-outbox' }));
+  }));
+});
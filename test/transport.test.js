@@ -0,0 +1,146 @@
+/**
+ * Lead Transport tests
+ * Runs js/transport.js against tools/mock-lead-server.js with a minimal
+ * browser stand-in (localStorage, navigator.onLine, document events).
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLeadServer } = require('../tools/mock-lead-server');
+
+// ==========================================
+// BROWSER STAND-IN
+// ==========================================
+const TRANSPORT_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'js', 'transport.js'), 'utf8');
+
+function createPage() {
+  const store = new Map();
+  const events = [];
+  const page = {
+    fetch: fetch,
+    FormData: FormData,
+    CustomEvent: class { constructor(type, init) { this.type = type; this.detail = init && init.detail; } },
+    localStorage: {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key),
+    },
+    navigator: { onLine: true },
+    location: { hostname: 'localhost' },
+    window: { addEventListener() {} },
+    document: {
+      addEventListener() {},
+      dispatchEvent: (event) => events.push(event),
+    },
+    getLang: () => 'es',
+    events: events,
+  };
+  vm.createContext(page);
+  vm.runInContext(TRANSPORT_SOURCE, page);
+  return page;
+}
+
+function startServer(t) {
+  const mock = createMockLeadServer();
+  return new Promise((resolve) => {
+    mock.server.listen(0, () => {
+      t.after(() => mock.server.close());
+      mock.endpoint = 'http://localhost:' + mock.server.address().port + '/leads';
+      resolve(mock);
+    });
+  });
+}
+
+// Objects from the page's realm have their own prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const FIELDS = { nombre: 'Ana Pérez', telefono: '3001234567', email: 'ana@example.com', _subject: 'Lead' };
+
+// ==========================================
+// TESTS
+// ==========================================
+test('a lead the server accepts is sent', async (t) => {
+  const mock = await startServer(t);
+  const page = createPage();
+
+  const outcome = await page.submitLead({ type: 'webhook', endpoint: mock.endpoint, form: 'contactForm' }, FIELDS);
+
+  assert.strictEqual(outcome.status, 'sent');
+  assert.strictEqual(mock.leads.length, 1);
+  assert.deepStrictEqual(mock.leads[0].lead, { nombre: 'Ana Pérez', telefono: '3001234567', email: 'ana@example.com' });
+  assert.strictEqual(page.getOutbox().length, 0);
+});
+
+test('a 4xx is reported as rejected and not queued', async (t) => {
+  const mock = await startServer(t);
+  const page = createPage();
+
+  const outcome = await page.submitLead({ type: 'webhook', endpoint: mock.endpoint + '?status=422', form: 'contactForm' }, FIELDS);
+
+  assert.deepStrictEqual({ status: outcome.status, code: outcome.code }, { status: 'rejected', code: 422 });
+  assert.strictEqual(page.getOutbox().length, 0);
+});
+
+test('a 5xx, a network error or being offline queues the lead', async (t) => {
+  const mock = await startServer(t);
+  const page = createPage();
+
+  const serverError = await page.submitLead({ type: 'api', endpoint: mock.endpoint + '?status=503', form: 'contactForm' }, FIELDS);
+  const unreachable = await page.submitLead({ type: 'webhook', endpoint: 'http://localhost:1/leads', form: 'contactForm' }, FIELDS);
+  page.navigator.onLine = false;
+  const offline = await page.submitLead({ type: 'webhook', endpoint: mock.endpoint, form: 'contactForm' }, FIELDS);
+
+  assert.deepStrictEqual([serverError.status, unreachable.status, offline.status], ['queued', 'queued', 'queued']);
+  assert.strictEqual(page.getOutbox().length, 3);
+  assert.strictEqual(mock.leads.length, 0);
+});
+
+test('flushing the outbox sends queued leads once the server is back', async (t) => {
+  const mock = await startServer(t);
+  const page = createPage();
+  const config = { type: 'webhook', endpoint: mock.endpoint, form: 'contactForm' };
+
+  mock.setStatus(500);
+  await page.submitLead(config, FIELDS);
+  let result = await page.flushOutbox();
+  assert.deepStrictEqual({ sent: result.sent, pending: result.pending }, { sent: 0, pending: 1 });
+  assert.strictEqual(page.getOutbox()[0].attempts, 1);
+
+  mock.setStatus(200);
+  result = await page.flushOutbox();
+  assert.deepStrictEqual(plain(result), { sent: 1, dropped: 0, pending: 0 });
+  assert.strictEqual(mock.leads.length, 1);
+  assert.strictEqual(page.events[page.events.length - 1].detail.pending, 0);
+});
+
+test('the outbox drops leads the server refuses, that run out of attempts or expire', async (t) => {
+  const mock = await startServer(t);
+  const page = createPage();
+  const config = { type: 'webhook', endpoint: mock.endpoint, form: 'contactForm' };
+
+  page.navigator.onLine = false;
+  page.queueLead(config, FIELDS);
+  page.navigator.onLine = true;
+  mock.setStatus(400);
+  let result = await page.flushOutbox();
+  assert.deepStrictEqual(plain(result), { sent: 0, dropped: 1, pending: 0 });
+
+  mock.setStatus(503);
+  page.queueLead(config, FIELDS);
+  const maxAttempts = vm.runInContext('OUTBOX_MAX_ATTEMPTS', page);
+  for (let i = 0; i < maxAttempts; i++) result = await page.flushOutbox();
+  assert.deepStrictEqual(plain(result), { sent: 0, dropped: 1, pending: 0 });
+
+  page.queueLead(config, FIELDS);
+  const entries = page.getOutbox();
+  entries[0].createdAt = new Date(Date.now() - vm.runInContext('OUTBOX_TTL_MS', page) - 1000).toISOString();
+  page.localStorage.setItem('sanlufer-outbox', JSON.stringify(entries));
+  assert.strictEqual(page.pruneOutbox(), 1);
+  assert.strictEqual(page.getOutbox().length, 0);
+  assert.strictEqual(mock.leads.length, 0);
+});
@@ -0,0 +1,111 @@
+/**
+ * Mock Lead Server
+ * A stand-in for the lead back end while working on the forms locally.
+ * Accepts JSON (webhook / api transports) and multipart (formsubmit) posts,
+ * logs each lead and answers like the real thing. The answer status can be
+ * forced for the whole server (--status) or per request (?status=), to see
+ * how the forms and the outbox handle 4xx and 5xx responses.
+ *
+ *   node tools/mock-lead-server.js [--port 8787] [--status 503]
+ *   <form data-transport="webhook" data-endpoint="http://localhost:8787/leads">
+ */
+
+const http = require('http');
+
+// ==========================================
+// SERVER
+// ==========================================
+const DEFAULT_PORT = 8787;
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function parseLead(type, body) {
+  if (type.indexOf('application/json') === 0) {
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return null;
+    }
+  }
+  return { raw: body };
+}
+
+/**
+ * Create (not start) a mock lead server.
+ * @param {{status: (number|undefined)}} [options] - status to answer every post with
+ * @returns {{server: http.Server, leads: Object[], setStatus: function(number)}}
+ */
+function createMockLeadServer(options) {
+  let status = (options && options.status) || 200;
+  const leads = [];
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Accept',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Content-Type': 'application/json',
+    };
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, headers);
+      response.end();
+      return;
+    }
+    if (request.method !== 'POST') {
+      response.writeHead(405, headers);
+      response.end(JSON.stringify({ success: false, message: 'POST only' }));
+      return;
+    }
+
+    readBody(request).then((body) => {
+      const code = Number(url.searchParams.get('status')) || status;
+      const lead = parseLead(request.headers['content-type'] || '', body);
+
+      if (code >= 200 && code < 300) {
+        if (lead === null) {
+          response.writeHead(400, headers);
+          response.end(JSON.stringify({ success: false, message: 'Invalid JSON' }));
+          return;
+        }
+        leads.push({ path: url.pathname, receivedAt: new Date().toISOString(), lead: lead });
+        console.log('[mock-lead-server] lead received on ' + url.pathname + ':', JSON.stringify(lead));
+      } else {
+        console.log('[mock-lead-server] answered ' + code + ' on ' + url.pathname);
+      }
+
+      response.writeHead(code, headers);
+      response.end(JSON.stringify({ success: code < 300 }));
+    });
+  });
+
+  return {
+    server: server,
+    leads: leads,
+    setStatus(code) { status = code; },
+  };
+}
+
+module.exports = { createMockLeadServer: createMockLeadServer };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const at = args.indexOf('--' + name);
+    return at === -1 ? undefined : Number(args[at + 1]);
+  };
+  const port = option('port') || DEFAULT_PORT;
+  const mock = createMockLeadServer({ status: option('status') });
+
+  mock.server.listen(port, () => {
+    console.log('[mock-lead-server] listening on http://localhost:' + port + '/leads');
+  });
+}